@@ -2,39 +2,157 @@
 
 const App = {
     questions: [],
-    currentQuestionIndex: 0,
+    currentQuestion: null,
     currentScenario: null,
+    currentEventIndex: null,
+    currentSlot: null,
+    currentSlotName: '',
+
+    // Show why each scenario was chosen (?debug in the URL, or press ` to toggle)
+    debug: false,
 
     // Initialize application
     async init() {
-        // Load data
-        await this.loadQuestions();
-        await EventSystem.loadScenarios();
+        // Load data, refusing to start on broken content
+        const questionIssues = await this.loadQuestions();
+        const scenarioIssues = await EventSystem.loadScenarios();
+        if (!this.reportDataIssues({ 'questions.json': questionIssues, 'scenarios.json': scenarioIssues })) {
+            return;
+        }
+
+        // Content packs with problems are left out rather than stopping the app
+        this.logPackIssues(await ContentPacks.load());
 
         // Set up event listeners
+        this.debug = new URLSearchParams(window.location.search).has('debug');
         this.bindEvents();
 
+        // Offer to resume saved lives
+        SaveManager.migrateLegacy();
+        this.renderSaveSlots();
+
         console.log('Forks initialized');
     },
 
-    // Load assessment questions
+    // Load and validate assessment questions; returns the validation issues
     async loadQuestions() {
         try {
             const response = await fetch('data/questions.json');
             const data = await response.json();
-            this.questions = data.questions;
+
+            const issues = DataValidator.validateQuestions(data);
+            if (DataValidator.summarize(issues).errors.length === 0) {
+                this.questions = data.questions;
+                PersonalityEngine.setNorms(data.norms);
+            }
+            return issues;
         } catch (error) {
             console.error('Failed to load questions:', error);
+            return [{ level: 'error', path: 'questions', message: `could not be loaded (${error.message})` }];
+        }
+    },
+
+    // Log warnings and show the error screen if any data file is broken; true when safe to start
+    reportDataIssues(issuesByFile) {
+        const errors = [];
+        for (const file in issuesByFile) {
+            const { errors: fileErrors, warnings } = DataValidator.summarize(issuesByFile[file]);
+            warnings.forEach(issue => console.warn(DataValidator.format(issue, file)));
+            fileErrors.forEach(issue => errors.push(DataValidator.format(issue, file)));
+        }
+
+        if (errors.length === 0) return true;
+
+        errors.forEach(message => console.error(message));
+        SafeHtml.render(document.getElementById('data-errors'),
+            errors.map(message => SafeHtml.html`<li>${message}</li>`));
+        this.showScreen('error-screen');
+        return false;
+    },
+
+    // Log content pack issues to the console
+    logPackIssues(issuesByFile) {
+        for (const file in issuesByFile) {
+            issuesByFile[file].forEach(issue => {
+                const message = DataValidator.format(issue, file);
+                if (issue.level === 'error') {
+                    console.error(message);
+                } else {
+                    console.warn(message);
+                }
+            });
         }
     },
 
     // Bind UI event listeners
     bindEvents() {
         document.getElementById('start-btn').addEventListener('click', () => this.startAssessment());
+        document.getElementById('import-profile-btn').addEventListener('click', () => this.showProfileImport());
+        document.getElementById('import-sliders').addEventListener('input', (e) => {
+            e.target.nextElementSibling.textContent = e.target.value;
+        });
+        document.getElementById('import-sliders-btn').addEventListener('click', () => this.importProfile('sliders'));
+        document.getElementById('import-text-btn').addEventListener('click', () => this.importProfile('text'));
+        document.getElementById('import-code-btn').addEventListener('click', () => this.importProfile('code'));
+        document.getElementById('import-back-btn').addEventListener('click', () => this.showScreen('welcome-screen'));
+        document.getElementById('resume-btn').addEventListener('click', () => this.toggleSaveSlots());
+        document.getElementById('gallery-btn').addEventListener('click', () => this.toggleEndingGallery());
+        document.getElementById('editor-btn').addEventListener('click', () => this.showEditor());
         document.getElementById('begin-simulation-btn').addEventListener('click', () => this.startSimulation());
+        document.getElementById('pack-file-input').addEventListener('change', (e) => {
+            this.importPack(e.target.files[0]);
+            e.target.value = '';
+        });
         document.getElementById('continue-btn').addEventListener('click', () => this.continueSimulation());
+        document.getElementById('undo-btn').addEventListener('click', () => this.undoDecision());
+        document.getElementById('scrub-range').addEventListener('input', () => this.updateScrubLabel());
+        document.getElementById('scrub-btn').addEventListener('click', () => {
+            this.scrubTo(parseInt(document.getElementById('scrub-range').value));
+        });
         document.getElementById('new-simulation-btn').addEventListener('click', () => this.resetAll());
         document.getElementById('explore-branch-btn').addEventListener('click', () => this.exploreBranch());
+        document.getElementById('compare-btn').addEventListener('click', () => this.showComparison());
+        document.getElementById('compare-back-btn').addEventListener('click', () => this.showTimeline());
+        document.getElementById('compare-a').addEventListener('change', () => this.renderComparison());
+        document.getElementById('compare-b').addEventListener('change', () => this.renderComparison());
+        document.getElementById('reflection-input').addEventListener('change', () => this.saveReflection());
+        document.getElementById('journal-btn').addEventListener('click', () => this.toggleJournal());
+        this.bindEditorEvents();
+        document.querySelectorAll('.export-btn[data-format]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportStory(btn.dataset.format));
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === '`' && !['INPUT', 'TEXTAREA'].includes(e.target.tagName)) this.toggleDebug();
+        });
+    },
+
+    // Bind the scenario editor's controls
+    bindEditorEvents() {
+        document.getElementById('editor-select').addEventListener('change', (e) => {
+            ScenarioEditor.select(parseInt(e.target.value));
+            this.renderEditor();
+        });
+        document.getElementById('editor-add-btn').addEventListener('click', () => {
+            ScenarioEditor.addScenario();
+            this.renderEditor();
+        });
+        document.getElementById('editor-remove-btn').addEventListener('click', () => {
+            ScenarioEditor.removeScenario();
+            this.renderEditor();
+        });
+        document.getElementById('editor-form').addEventListener('input', (e) => this.editField(e.target));
+        document.getElementById('editor-form').addEventListener('click', (e) => this.editorAction(e.target));
+        document.getElementById('editor-profile').addEventListener('input', (e) => this.editPreviewProfile(e.target));
+        document.getElementById('playtest-btn').addEventListener('click', () => this.playtestScenario());
+        document.getElementById('editor-export-btn').addEventListener('click', () => this.exportScenarios());
+        document.getElementById('editor-discard-btn').addEventListener('click', () => {
+            ScenarioEditor.discardDraft(ContentPacks.core);
+            this.renderEditor();
+        });
+        document.getElementById('editor-back-btn').addEventListener('click', () => this.showScreen('welcome-screen'));
+        document.querySelectorAll('.editor-return-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.showEditor());
+        });
     },
 
     // Screen management
@@ -45,49 +163,175 @@ const App = {
         document.getElementById(screenId).classList.add('active');
     },
 
+    // Render the list of saved lives on the welcome screen
+    renderSaveSlots() {
+        const slots = SaveManager.listSlots();
+        const container = document.getElementById('save-slots');
+        container.textContent = '';
+
+        document.getElementById('resume-btn').style.display = slots.length > 0 ? '' : 'none';
+        if (slots.length === 0) {
+            container.style.display = 'none';
+        }
+
+        slots.forEach(slot => {
+            const row = document.createElement('div');
+            row.className = 'save-slot';
+
+            const info = document.createElement('div');
+            info.className = 'save-slot-info';
+            const name = document.createElement('div');
+            name.className = 'save-slot-name';
+            name.textContent = slot.name;
+            const meta = document.createElement('div');
+            meta.className = 'save-slot-meta';
+            const savedAt = slot.savedAt ? ` · ${new Date(slot.savedAt).toLocaleString()}` : '';
+            const decisions = `${slot.eventCount} decision${slot.eventCount === 1 ? '' : 's'}`;
+            const paths = slot.branchCount > 1 ? ` · ${slot.branchCount} paths` : '';
+            const packs = slot.packs.length > 0 ? ` · ${slot.packs.join(', ')}` : '';
+            meta.textContent = `Age ${slot.age} · ${decisions}${paths}${packs}${savedAt}`;
+            info.append(name, meta);
+
+            // A life can't go on without its packs; another version may skip some of its scenarios
+            const { missing, updated } = ContentPacks.checkSaved(SaveManager.readPacks(slot.id));
+            const problems = [];
+            if (missing.length > 0) problems.push(`Install ${missing.join(', ')} to resume this life.`);
+            if (updated.length > 0) {
+                problems.push(`Played with another version of ${updated.join(', ')}; scenarios it no longer has are skipped.`);
+            }
+            if (problems.length > 0) {
+                const warning = document.createElement('div');
+                warning.className = 'save-slot-warning';
+                warning.textContent = problems.join(' ');
+                info.appendChild(warning);
+            }
+
+            const resumeBtn = document.createElement('button');
+            resumeBtn.className = 'btn primary';
+            resumeBtn.textContent = 'Resume';
+            resumeBtn.disabled = missing.length > 0;
+            resumeBtn.addEventListener('click', () => this.resumeLife(slot.id));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn secondary';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                SaveManager.remove(slot.id);
+                this.renderSaveSlots();
+            });
+
+            row.append(info, resumeBtn, deleteBtn);
+            container.appendChild(row);
+        });
+    },
+
+    // Show or hide the saved lives list
+    toggleSaveSlots() {
+        const container = document.getElementById('save-slots');
+        container.style.display = container.style.display === 'block' ? 'none' : 'block';
+    },
+
+    // Show or hide the endings reached so far
+    toggleEndingGallery() {
+        const gallery = document.getElementById('ending-gallery');
+        gallery.classList.toggle('open');
+        if (!gallery.classList.contains('open')) return;
+
+        SafeHtml.render(gallery, LifeEndings.getGallery().map(ending => SafeHtml.html`
+            <div class="ending-card ${ending.unlocked ? '' : 'locked'}">
+                <div class="ending-card-title">${ending.unlocked ? ending.title : '???'}</div>
+                <div class="ending-card-hint">${ending.hint}</div>
+            </div>
+        `));
+    },
+
+    // Resume a saved life where it left off
+    resumeLife(slotId) {
+        if (!this.loadState(slotId)) {
+            this.renderSaveSlots();
+            return;
+        }
+
+        this.showScreen('simulation-screen');
+        this.presentNextScenario();
+    },
+
     // Start the personality assessment
     startAssessment() {
         PersonalityEngine.reset();
-        this.currentQuestionIndex = 0;
+        QuestionSelector.reset(this.questions);
+        this.currentQuestion = QuestionSelector.next();
         this.showScreen('assessment-screen');
         this.renderQuestion();
     },
 
+    // Offer ways to enter a known profile instead of taking the assessment
+    showProfileImport() {
+        SafeHtml.render(document.getElementById('import-sliders'), DataValidator.traits.map(trait =>
+            this.traitSlider(PersonalityEngine.traitNames[trait], trait, 50)));
+        document.getElementById('import-text').value = '';
+        document.getElementById('import-code').value = '';
+        this.renderIssueList('import-issues', []);
+        this.showScreen('import-screen');
+    },
+
+    // Set the profile from the sliders, pasted results or a profile code, then show it
+    importProfile(source) {
+        let result;
+        if (source === 'sliders') {
+            const ocean = {};
+            document.querySelectorAll('#import-sliders input').forEach(input => {
+                ocean[input.dataset.key] = parseInt(input.value);
+            });
+            result = ProfileImport.fromSliders(ocean);
+        } else if (source === 'text') {
+            result = ProfileImport.fromText(document.getElementById('import-text').value);
+        } else {
+            result = ProfileImport.fromCode(document.getElementById('import-code').value);
+        }
+
+        if (result.error) {
+            this.renderIssueList('import-issues', [result.error]);
+            return;
+        }
+        PersonalityEngine.setProfile(result.ocean, result.confidence);
+        this.showProfile();
+    },
+
     // Render current assessment question
     renderQuestion() {
-        const question = this.questions[this.currentQuestionIndex];
-        const total = this.questions.length;
+        const question = this.currentQuestion;
 
-        // Update progress
-        const progress = ((this.currentQuestionIndex) / total) * 100;
+        // Update progress (the assessment ends once every trait is measured well enough)
+        const progress = QuestionSelector.getProgress() * 100;
         document.getElementById('assessment-progress').style.width = `${progress}%`;
         document.getElementById('question-counter').textContent =
-            `Question ${this.currentQuestionIndex + 1} of ${total}`;
+            `Question ${QuestionSelector.asked.length + 1}`;
 
         // Render question
         document.getElementById('question-text').textContent = question.text;
 
-        // Render choices
+        // Render choices, or a 5-point scale for a Likert item
         const container = document.getElementById('choices-container');
-        container.innerHTML = '';
+        container.textContent = '';
+        container.classList.toggle('likert-scale', question.format === 'likert');
 
-        question.choices.forEach((choice, index) => {
+        QuestionSelector.getOptions(question).forEach(option => {
             const btn = document.createElement('button');
             btn.className = 'choice-btn';
-            btn.textContent = choice.text;
-            btn.addEventListener('click', () => this.handleAssessmentChoice(choice));
+            btn.textContent = option.text;
+            btn.addEventListener('click', () => this.handleAssessmentChoice(option));
             container.appendChild(btn);
         });
     },
 
     // Handle assessment choice
-    handleAssessmentChoice(choice) {
-        // Apply weights
-        PersonalityEngine.applyWeights(choice.weights);
+    handleAssessmentChoice(option) {
+        QuestionSelector.answer(this.currentQuestion, option);
 
-        // Next question or show profile
-        this.currentQuestionIndex++;
-        if (this.currentQuestionIndex < this.questions.length) {
+        // Next most informative question, or the profile once we know enough
+        this.currentQuestion = QuestionSelector.next();
+        if (this.currentQuestion) {
             this.renderQuestion();
         } else {
             this.showProfile();
@@ -100,20 +344,25 @@ const App = {
 
         // Render OCEAN traits
         const oceanContainer = document.getElementById('ocean-display');
-        oceanContainer.innerHTML = '';
+        oceanContainer.textContent = '';
 
         const traits = ['O', 'C', 'E', 'A', 'N'];
         traits.forEach(trait => {
             const value = PersonalityEngine.ocean[trait];
+            const band = PersonalityEngine.confidence[trait];
+            const low = Math.max(0, value - band);
+            const high = Math.min(100, value + band);
             const row = document.createElement('div');
             row.className = 'trait-row';
-            row.innerHTML = `
+            if (PersonalityEngine.isAmbiguous(trait)) row.classList.add('ambiguous');
+            SafeHtml.render(row, SafeHtml.html`
                 <span class="trait-label">${PersonalityEngine.traitNames[trait]}</span>
                 <div class="trait-bar">
                     <div class="trait-fill" style="width: ${value}%"></div>
+                    <div class="trait-band" style="left: ${low}%; width: ${high - low}%"></div>
                 </div>
-                <span class="trait-value">${Math.round(value)}</span>
-            `;
+                <span class="trait-value">${Math.round(value)} ± ${Math.round(band)}</span>
+            `);
             oceanContainer.appendChild(row);
         });
 
@@ -122,15 +371,104 @@ const App = {
         const mbti = PersonalityEngine.getMBTIDescription();
         const enneagram = PersonalityEngine.deriveEnneagram();
 
-        labelsContainer.innerHTML = `
-            <p><strong>MBTI:</strong> ${mbti.type} - ${mbti.description}</p>
-            <p><strong>Enneagram:</strong> ${enneagram.description}</p>
-        `;
+        const mbtiNote = mbti.ambiguous ? ' (some letters are too close to call)' : '';
+        const enneagramNote = enneagram.ambiguous
+            ? ` (close to Type ${enneagram.alternatives.join(' and ')})`
+            : '';
+
+        SafeHtml.render(labelsContainer, SafeHtml.html`
+            <p><strong>MBTI:</strong> ${mbti.label} - ${mbti.description}${mbtiNote}</p>
+            <p><strong>Enneagram:</strong> ${enneagram.description}${enneagramNote}</p>
+            <p><strong>Profile code:</strong> ${ProfileImport.toCode(PersonalityEngine.ocean)} (enter it next time to skip the assessment)</p>
+        `);
+
+        this.renderPacks();
+    },
+
+    // Render the installed content packs with a toggle each for the next life
+    renderPacks() {
+        const container = document.getElementById('pack-list');
+        container.textContent = '';
+
+        const packs = ContentPacks.list();
+        if (packs.length === 0) {
+            SafeHtml.render(container, SafeHtml.html`<p class="pack-empty">No content packs installed.</p>`);
+        }
+
+        packs.forEach(pack => {
+            const row = document.createElement('label');
+            row.className = 'pack-row';
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = pack.enabled;
+            toggle.addEventListener('change', () => {
+                ContentPacks.setEnabled(pack.id, toggle.checked);
+                this.renderPacks();
+            });
+
+            const info = document.createElement('span');
+            info.className = 'pack-info';
+            const name = document.createElement('span');
+            name.className = 'pack-name';
+            name.textContent = `${pack.name} (v${pack.version})`;
+            const description = document.createElement('span');
+            description.className = 'pack-description';
+            description.textContent = pack.description;
+            info.append(name, description);
+            row.append(toggle, info);
+
+            if (pack.source === 'imported') {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn secondary';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    ContentPacks.remove(pack.id);
+                    this.renderPacks();
+                });
+                row.appendChild(removeBtn);
+            }
+
+            container.appendChild(row);
+        });
+
+        // Enabled packs that clash with each other; the later one is left out
+        const conflicts = ContentPacks.findConflicts(ContentPacks.getEnabled());
+        this.renderIssueList('pack-issues', conflicts.map(issue => DataValidator.format(issue, `pack "${issue.pack}"`)));
+    },
+
+    // Show problems as a list of messages in the given list element
+    renderIssueList(listId, messages) {
+        const list = document.getElementById(listId);
+        list.textContent = '';
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+    },
+
+    // Import a content pack file from disk
+    async importPack(file) {
+        if (!file) return;
+
+        const issues = await ContentPacks.importFile(file);
+        this.renderPacks();
+        if (issues.length > 0) {
+            this.renderIssueList('pack-issues', issues.map(issue => `${issue.level}: ${DataValidator.format(issue, file.name)}`));
+        }
     },
 
     // Start life simulation
     startSimulation() {
-        EventSystem.reset();
+        // A shared seed code replays the same life for the same answers
+        const seedCode = document.getElementById('seed-input').value.trim();
+        ContentPacks.apply(ContentPacks.getEnabled());
+        EventSystem.reset(seedCode ? SeededRandom.fromCode(seedCode) : undefined);
+        LifeTree.startRoot();
+        const nameInput = document.getElementById('life-name-input');
+        this.startSlot(nameInput.value.trim() || `Life ${SaveManager.listSlots().length + 1}`);
         this.showScreen('simulation-screen');
         this.presentNextScenario();
     },
@@ -155,32 +493,184 @@ const App = {
         const stageLabel = EventSystem.stages[EventSystem.currentStage].label;
         document.getElementById('life-stage-badge').textContent = stageLabel;
         document.getElementById('age-display').textContent = `Age: ${EventSystem.currentAge}`;
+        document.getElementById('seed-display').textContent = `Seed ${SeededRandom.toCode(EventSystem.seed)}`;
+        this.renderStressMeter();
+        this.renderResources();
+        this.renderWorldEvents();
+        this.renderSelectionDebug();
 
         // Render scenario
-        document.getElementById('event-title').textContent = this.currentScenario.title;
-        document.getElementById('event-description').textContent = this.currentScenario.description;
+        this.renderScenario(this.currentScenario, 'event', {
+            onChoose: choice => this.handleEventChoice(choice)
+        });
 
-        // Render choices
-        const choicesContainer = document.getElementById('event-choices');
-        choicesContainer.innerHTML = '';
+        // Render trajectory tags
+        this.renderTrajectoryTags();
+        this.renderCast();
+        this.renderScrubber();
+    },
 
-        this.currentScenario.choices.forEach(choice => {
+    // Render a scenario and its choices into the "<prefix>-title", "-description" and "-choices" elements;
+    // alignment and stress locks are for the given profile, this life's by default
+    renderScenario(scenario, prefix, { ocean, stress = PersonalityEngine.stress, onChoose } = {}) {
+        document.getElementById(`${prefix}-title`).textContent = scenario.title;
+        SafeHtml.render(document.getElementById(`${prefix}-description`), SafeHtml.rich(scenario.description));
+
+        const choicesContainer = document.getElementById(`${prefix}-choices`);
+        choicesContainer.textContent = '';
+
+        scenario.choices.forEach(choice => {
             const btn = document.createElement('button');
             btn.className = 'event-choice-btn';
 
-            const alignment = EventSystem.getChoiceAlignment(choice);
+            const alignment = EventSystem.getChoiceAlignment(choice, ocean, stress);
             const alignmentHint = alignment !== 'neutral' ? `(${alignment})` : '';
+            const stressDelta = choice.stress_delta || 0;
+            const stressHint = stressDelta !== 0
+                ? SafeHtml.html`<span class="choice-stress ${stressDelta > 0 ? 'up' : 'down'}">Stress ${stressDelta > 0 ? '+' : ''}${stressDelta}</span>`
+                : '';
 
-            btn.innerHTML = `
+            const locked = EventSystem.isChoiceLocked(scenario, choice, stress);
+            const lockHint = locked ? SafeHtml.html`<div class="choice-locked">Too overwhelmed to take this on right now</div>` : '';
+
+            SafeHtml.render(btn, SafeHtml.html`
                 <div class="choice-title">${choice.title}</div>
-                <div class="choice-hint">${choice.description} ${alignmentHint}</div>
-            `;
-            btn.addEventListener('click', () => this.handleEventChoice(choice));
+                <div class="choice-hint">${choice.description} ${alignmentHint} ${stressHint}</div>
+                ${lockHint}
+            `);
+            btn.disabled = locked;
+            if (onChoose) btn.addEventListener('click', () => onChoose(choice));
             choicesContainer.appendChild(btn);
         });
+    },
 
-        // Render trajectory tags
-        this.renderTrajectoryTags();
+    // Toggle the scenario selection overlay
+    toggleDebug() {
+        this.debug = !this.debug;
+        this.renderSelectionDebug();
+    },
+
+    // Explain how the current scenario was chosen
+    renderSelectionDebug() {
+        const overlay = document.getElementById('selection-debug');
+        const selection = EventSystem.lastSelection;
+        if (!this.debug || !selection) {
+            overlay.style.display = 'none';
+            return;
+        }
+
+        const rules = {
+            forked: 'Revisited after a fork',
+            'follow-up': 'Follow-up scheduled by an earlier choice',
+            crisis: 'Crisis triggered by high stress',
+            weighted: 'Weighted draw'
+        };
+
+        const rows = selection.candidates
+            .sort((a, b) => b.weight - a.weight)
+            .map(candidate => SafeHtml.html`
+                <tr class="${candidate.id === selection.scenarioId ? 'selected' : ''}">
+                    <td>${candidate.id}</td>
+                    <td>${candidate.weight.toFixed(2)}</td>
+                    <td>${Math.round(candidate.chance * 100)}%</td>
+                    <td>${candidate.reasons.map(reason =>
+                        `${reason.source} ${reason.amount >= 0 ? '+' : ''}${reason.amount}`).join(', ')}</td>
+                </tr>
+            `);
+
+        SafeHtml.render(overlay, SafeHtml.html`
+            <div class="debug-title">Why "${selection.scenarioId}"? ${rules[selection.rule]}</div>
+            <div class="debug-tags">Dominant trajectories: ${selection.dominantTags.join(', ') || 'none yet'}</div>
+            ${rows.length > 0 && SafeHtml.html`<table><tr><th>Scenario</th><th>Weight</th><th>Chance</th><th>Reasons</th></tr>${rows}</table>`}
+        `);
+        overlay.style.display = 'block';
+    },
+
+    // Render the stress meter in the simulation header
+    renderStressMeter() {
+        const stress = Math.round(PersonalityEngine.stress);
+        const level = PersonalityEngine.getStressLevel();
+        const meter = document.getElementById('stress-meter');
+
+        meter.className = `stress-meter ${level.toLowerCase()}`;
+        meter.querySelector('.stress-fill').style.width = `${stress}%`;
+        meter.querySelector('.stress-label').textContent = `Stress ${stress} - ${level}`;
+    },
+
+    // Render wealth, health, social support and career standing in the simulation header
+    renderResources() {
+        const container = document.getElementById('resources');
+
+        SafeHtml.render(container, Object.entries(LifeResources.values).map(([resource, value]) => SafeHtml.html`
+            <div class="resource ${value < 20 ? 'low' : ''}" title="${LifeResources.getLevel(resource)}">
+                <span class="resource-label">${LifeResources.names[resource]} ${value}</span>
+                <div class="resource-bar"><div class="resource-fill" style="width: ${value}%"></div></div>
+            </div>
+        `));
+    },
+
+    // Render world events active in the simulation header
+    renderWorldEvents() {
+        const container = document.getElementById('world-events');
+        const active = WorldEvents.getActive();
+
+        SafeHtml.render(container, active.map(event =>
+            SafeHtml.html`<span class="badge world-badge">${event.name}</span>`
+        ));
+    },
+
+    // Render the people in this life
+    renderCast() {
+        const container = document.getElementById('cast');
+        const cast = CharacterRoster.getCast(EventSystem.currentAge)
+            .filter(character => character.status !== 'deceased');
+
+        SafeHtml.render(container, cast.map(character => SafeHtml.html`
+            <span class="cast-member ${character.status}" title="Closeness ${character.closeness}">
+                ${character.name} <span class="cast-relation">${character.relation}, ${character.age}${character.status === 'estranged' ? ', estranged' : ''}</span>
+            </span>
+        `));
+    },
+
+    // Offer every earlier decision of this life as a point to return to
+    renderScrubber() {
+        const history = EventSystem.eventHistory;
+        const range = document.getElementById('scrub-range');
+
+        document.getElementById('scrubber').style.display = history.length > 0 ? '' : 'none';
+        range.max = history.length;
+        range.value = history.length;
+        this.updateScrubLabel();
+    },
+
+    // Describe the decision the scrubber points at
+    updateScrubLabel() {
+        const index = parseInt(document.getElementById('scrub-range').value);
+        const event = EventSystem.eventHistory[index];
+
+        document.getElementById('scrub-label').textContent = event
+            ? `Age ${event.age}: ${event.title} - ${event.choiceTitle}`
+            : `Now, age ${EventSystem.currentAge}`;
+        document.getElementById('scrub-btn').disabled = !event;
+    },
+
+    // Return to an earlier decision in this life, discarding everything after it (no new branch)
+    scrubTo(index) {
+        if (!EventSystem.eventHistory[index]) return;
+
+        EventSystem.rewindTo(index);
+        this.saveState();
+        this.presentNextScenario();
+    },
+
+    // Take back the decision just made and choose again
+    undoDecision() {
+        this.currentEventIndex = null;
+        if (!EventSystem.undo()) return;
+
+        this.saveState();
+        this.showScreen('simulation-screen');
+        this.presentNextScenario();
     },
 
     // Render current trajectory tags
@@ -188,14 +678,15 @@ const App = {
         const container = document.getElementById('trajectory-tags');
         const tags = PersonalityEngine.getDominantTrajectories(5);
 
-        container.innerHTML = tags.map(tag =>
-            `<span class="trajectory-tag">${tag}</span>`
-        ).join('');
+        SafeHtml.render(container, tags.map(tag =>
+            SafeHtml.html`<span class="trajectory-tag">${tag}</span>`
+        ));
     },
 
     // Handle event choice
     handleEventChoice(choice) {
         const event = EventSystem.processChoice(this.currentScenario, choice);
+        this.saveState();
         this.showOutcome(event);
     },
 
@@ -203,112 +694,739 @@ const App = {
     showOutcome(event) {
         this.showScreen('outcome-screen');
 
-        // Render outcome text
-        document.getElementById('outcome-text').textContent = event.outcome;
+        // Render outcome text, naming the variant when the choice could have gone other ways
+        SafeHtml.render(document.getElementById('outcome-text'), SafeHtml.rich(event.outcome));
+        const labelBadge = document.getElementById('outcome-label');
+        labelBadge.textContent = event.outcomeLabel || '';
+        labelBadge.style.display = event.outcomeLabel ? '' : 'none';
 
-        // Render trait changes
+        // Render trait, stress and resource changes (rising stress is the bad direction)
         const changesContainer = document.getElementById('trait-changes');
-        const changes = Object.entries(event.oceanChanges);
+        const changes = Object.entries(event.oceanChanges).map(([trait, change]) => ({
+            label: PersonalityEngine.traitNames[trait],
+            change,
+            className: change > 0 ? 'positive' : 'negative'
+        }));
+
+        const stressChange = event.stressAfter - event.stressBefore;
+        if (stressChange !== 0) {
+            changes.push({
+                label: 'Stress',
+                change: stressChange,
+                className: stressChange > 0 ? 'negative' : 'positive'
+            });
+        }
+
+        Object.entries(event.resourceChanges || {}).forEach(([resource, change]) => changes.push({
+            label: LifeResources.names[resource],
+            change,
+            className: change > 0 ? 'positive' : 'negative'
+        }));
 
         if (changes.length > 0) {
-            changesContainer.innerHTML = changes.map(([trait, change]) => {
-                const className = change > 0 ? 'positive' : 'negative';
+            SafeHtml.render(changesContainer, changes.map(({ label, change, className }) => {
                 const sign = change > 0 ? '+' : '';
-                return `
+                return SafeHtml.html`
                     <div class="trait-change ${className}">
-                        <span>${PersonalityEngine.traitNames[trait]}</span>
+                        <span>${label}</span>
                         <span>${sign}${change}</span>
                     </div>
                 `;
-            }).join('');
+            }));
+        } else {
+            SafeHtml.render(changesContainer,
+                SafeHtml.html`<p style="color: var(--text-muted); font-size: 0.875rem;">No significant trait changes</p>`);
+        }
+
+        // Render world events that began during the years that passed
+        const worldNotice = document.getElementById('world-notice');
+        if (event.worldEvents && event.worldEvents.length > 0) {
+            SafeHtml.render(worldNotice, event.worldEvents.map(world =>
+                SafeHtml.html`<p>At age ${world.startAge}, the world changes: ${world.name}.</p>`
+            ));
+            worldNotice.style.display = 'block';
         } else {
-            changesContainer.innerHTML = '<p style="color: var(--text-muted); font-size: 0.875rem;">No significant trait changes</p>';
+            worldNotice.style.display = 'none';
         }
 
-        // Render reflection prompt
+        // Render reflection prompt with room to answer it
+        this.currentEventIndex = EventSystem.eventHistory.indexOf(event);
         const promptContainer = document.getElementById('reflection-prompt');
-        const prompt = EventSystem.getReflectionPrompt(this.currentScenario);
+        const prompt = event.reflectionPrompt;
 
         if (prompt) {
-            promptContainer.innerHTML = `<p>"${prompt}"</p>`;
+            document.getElementById('reflection-prompt-text').textContent = `"${prompt}"`;
+            document.getElementById('reflection-input').value = event.reflection || '';
             promptContainer.style.display = 'block';
         } else {
             promptContainer.style.display = 'none';
         }
     },
 
+    // Store the answer to the current reflection prompt
+    saveReflection() {
+        if (this.currentEventIndex === null) return;
+
+        EventSystem.setReflection(this.currentEventIndex, document.getElementById('reflection-input').value);
+        this.saveState();
+    },
+
     // Continue simulation after outcome
     continueSimulation() {
+        this.saveReflection();
+        this.currentEventIndex = null;
         this.showScreen('simulation-screen');
         this.presentNextScenario();
     },
 
+    // One line of resource deltas for a timeline node, or nothing
+    formatResourceChanges(changes = {}) {
+        const parts = Object.entries(changes).map(([resource, change]) =>
+            `${LifeResources.names[resource]} ${change > 0 ? '+' : ''}${change}`);
+        return parts.length > 0 ? SafeHtml.html`<div class="timeline-resources">${parts.join(' · ')}</div>` : '';
+    },
+
+    // Timeline node summarizing the quiet years after a decision
+    renderQuietYears(quiet) {
+        const drift = Object.entries(quiet.oceanChanges).map(([trait, change]) =>
+            `${PersonalityEngine.traitNames[trait]} ${change > 0 ? '+' : ''}${change}`);
+
+        return SafeHtml.html`
+            <div class="timeline-node quiet">
+                <div class="timeline-marker"></div>
+                <div class="timeline-content">
+                    <div class="timeline-age">Age ${quiet.startAge}-${quiet.endAge} - Quiet Years</div>
+                    <div class="timeline-choice">${LifeStory.writeQuietYears(quiet)}</div>
+                    ${drift.length > 0 && SafeHtml.html`<div class="timeline-resources">${drift.join(' · ')}</div>`}
+                    ${this.formatResourceChanges(quiet.resourceChanges)}
+                </div>
+            </div>
+        `;
+    },
+
     // Show final timeline
     showTimeline() {
         this.showScreen('timeline-screen');
+        LifeTree.markEnded();
+        this.saveState();
+        this.renderBranchList();
 
         const container = document.getElementById('timeline-visualization');
         const timeline = EventSystem.getTimeline();
 
-        container.innerHTML = timeline.map(event => `
-            <div class="timeline-node">
+        // World events that began at an age precede the decision made at it
+        const nodes = [];
+        WorldEvents.getTimeline().forEach(world => {
+            nodes.push({
+                age: world.startAge,
+                html: SafeHtml.html`
+                    <div class="timeline-node world">
+                        <div class="timeline-marker"></div>
+                        <div class="timeline-content">
+                            <div class="timeline-age">Age ${world.startAge}-${world.endAge} - World Event</div>
+                            <div class="timeline-event">${world.name}</div>
+                        </div>
+                    </div>
+                `
+            });
+        });
+
+        timeline.forEach((event, index) => {
+            nodes.push({
+                age: event.age,
+                html: SafeHtml.html`
+                    <div class="timeline-node">
+                        <div class="timeline-marker"></div>
+                        <div class="timeline-content">
+                            <div class="timeline-age">Age ${event.age} - ${EventSystem.stages[event.stage].label}</div>
+                            <div class="timeline-event">${event.title}</div>
+                            <div class="timeline-choice">${event.choice}${event.outcomeLabel ? ` - ${event.outcomeLabel}` : ''}</div>
+                            ${this.formatResourceChanges(event.resourceChanges)}
+                            ${event.reflection && SafeHtml.html`<div class="timeline-reflection">${event.reflection}</div>`}
+                            <button class="fork-btn" data-index="${index}" ${this.canForkAt(index) ? '' : 'disabled'}>Take another path here</button>
+                        </div>
+                    </div>
+                `
+            });
+
+            // Long gaps after a decision show as quiet years
+            if (event.quietYears) {
+                nodes.push({ age: event.age + 0.5, html: this.renderQuietYears(event.quietYears) });
+            }
+        });
+
+        // Interleave by age; the sort is stable
+        nodes.sort((a, b) => a.age - b.age);
+
+        // Close with the ending this life reached, adding it to the gallery
+        const story = LifeStory.build(this.currentSlotName);
+        const ending = story.ending;
+        const unlocked = ending && !this.playtesting ? LifeEndings.unlock(ending.id) : false;
+        const gallery = LifeEndings.getGallery();
+        const summaryHtml = SafeHtml.html`
+            <div class="timeline-node ending">
                 <div class="timeline-marker"></div>
                 <div class="timeline-content">
-                    <div class="timeline-age">Age ${event.age} - ${EventSystem.stages[event.stage].label}</div>
-                    <div class="timeline-event">${event.title}</div>
-                    <div class="timeline-choice">${event.choice}</div>
+                    <div class="timeline-age">Journey's End - Age ${EventSystem.currentAge} · Seed ${SeededRandom.toCode(EventSystem.seed)}</div>
+                    <div class="ending-title">${ending ? ending.title : 'Final Reflection'}</div>
+                    ${ending && SafeHtml.html`<p class="ending-epilogue">${SafeHtml.rich(ending.epilogue)}</p>`}
+                    <div class="timeline-choice">${story.epilogue}</div>
+                    <div class="timeline-resources">${story.resources.map(r => `${r.name} ${r.value}`).join(' · ')}</div>
+                    <div class="ending-progress">
+                        ${unlocked ? 'New ending unlocked. ' : ''}Endings found: ${gallery.filter(entry => entry.unlocked).length} of ${gallery.length}
+                    </div>
                 </div>
             </div>
-        `).join('');
+        `;
+        SafeHtml.render(container, [...nodes.map(node => node.html), summaryHtml]);
 
-        // Add final summary
-        const summary = PersonalityEngine.generateSummary();
-        const summaryHtml = `
-            <div class="timeline-node">
-                <div class="timeline-marker"></div>
-                <div class="timeline-content">
-                    <div class="timeline-age">Journey's End - Age ${EventSystem.currentAge}</div>
-                    <div class="timeline-event">Final Reflection</div>
-                    <div class="timeline-choice">
-                        You emerged as ${summary.mbti.type} (${summary.mbti.description.split(' - ')[0]}),
-                        with tendencies toward: ${summary.trajectories.slice(0, 3).join(', ') || 'a unique path'}.
-                    </div>
+        document.getElementById('journal').style.display = 'none';
+        container.classList.remove('forking');
+        document.getElementById('explore-branch-btn').textContent = 'Explore Different Path';
+        container.querySelectorAll('.fork-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.forkAt(parseInt(btn.dataset.index)));
+        });
+    },
+
+    // Export the current life's story
+    exportStory(format) {
+        const story = LifeStory.build(this.currentSlotName);
+        const basename = `${(this.currentSlotName || 'life').toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${story.seed}`;
+
+        if (format === 'journal') {
+            this.download(`${basename}-journal.md`, LifeStory.journalToMarkdown(story, this.currentSlotName), 'text/markdown');
+        } else if (format === 'markdown') {
+            this.download(`${basename}.md`, LifeStory.toMarkdown(story), 'text/markdown');
+        } else if (format === 'json') {
+            this.download(`${basename}.json`, LifeStory.toJSON(story), 'application/json');
+        } else {
+            // Open the page to print; fall back to a download when pop-ups are blocked
+            const html = LifeStory.toHTML(story);
+            const page = window.open('', '_blank');
+            if (page) {
+                page.document.write(html);
+                page.document.close();
+                page.focus();
+                page.print();
+            } else {
+                this.download(`${basename}.html`, html, 'text/html');
+            }
+        }
+    },
+
+    // Show or hide the reflection journal under the timeline
+    toggleJournal() {
+        const journal = document.getElementById('journal');
+        if (journal.style.display !== 'none') {
+            journal.style.display = 'none';
+            return;
+        }
+
+        const entries = LifeStory.getJournal(LifeStory.build(this.currentSlotName));
+        SafeHtml.render(journal, entries.length > 0
+            ? entries.map(entry => SafeHtml.html`
+                <div class="journal-entry">
+                    <div class="journal-meta">Age ${entry.age} - ${entry.title}</div>
+                    <div class="journal-prompt">"${entry.prompt}"</div>
+                    <p>${entry.answer}</p>
                 </div>
+            `)
+            : SafeHtml.html`<p class="journal-empty">No reflections written in this life yet.</p>`);
+        journal.style.display = 'block';
+    },
+
+    // Offer text content as a file download
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    // Render the alternate paths of this life
+    renderBranchList() {
+        const container = document.getElementById('branch-list');
+        container.textContent = '';
+
+        const hasBranches = LifeTree.branches.length > 1;
+        document.getElementById('compare-btn').style.display = hasBranches ? '' : 'none';
+        if (!hasBranches) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'flex';
+
+        LifeTree.branches.forEach(branch => {
+            const btn = document.createElement('button');
+            btn.className = 'branch-btn';
+            if (branch.id === LifeTree.currentId) btn.classList.add('active');
+            btn.textContent = branch.ended ? branch.label : `${branch.label} (in progress)`;
+            btn.addEventListener('click', () => this.switchBranch(branch.id));
+            container.appendChild(btn);
+        });
+    },
+
+    // Show the side-by-side comparison of two branches
+    showComparison() {
+        LifeTree.captureCurrent();
+        this.showScreen('compare-screen');
+
+        // Default to the current branch against the one it forked from
+        const current = LifeTree.current();
+        const other = LifeTree.getBranch(current.parentId) ||
+            LifeTree.branches.find(branch => branch.id !== current.id);
+
+        ['compare-a', 'compare-b'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            select.textContent = '';
+            LifeTree.branches.forEach(branch => {
+                const option = document.createElement('option');
+                option.value = branch.id;
+                option.textContent = branch.label;
+                select.appendChild(option);
+            });
+        });
+        document.getElementById('compare-a').value = other.id;
+        document.getElementById('compare-b').value = current.id;
+
+        this.renderComparison();
+    },
+
+    // Render the comparison for the selected branches
+    renderComparison() {
+        const branchA = LifeTree.getBranch(parseInt(document.getElementById('compare-a').value));
+        const branchB = LifeTree.getBranch(parseInt(document.getElementById('compare-b').value));
+        const comparison = BranchComparison.compare(branchA.state, branchB.state);
+        const { profile } = comparison;
+
+        // Final profile differences
+        const signed = value => `${value > 0 ? '+' : ''}${Math.round(value)}`;
+        const deltaClass = value => value > 0 ? 'positive' : value < 0 ? 'negative' : '';
+        const traitRows = Object.entries(profile.ocean).map(([trait, diff]) => SafeHtml.html`
+            <tr>
+                <td>${PersonalityEngine.traitNames[trait]}</td>
+                <td>${Math.round(diff.a)}</td>
+                <td>${Math.round(diff.b)}</td>
+                <td class="${deltaClass(diff.delta)}">${signed(diff.delta)}</td>
+            </tr>
+        `);
+
+        const changed = (a, b) => a !== b ? 'changed' : '';
+        SafeHtml.render(document.getElementById('compare-profile'), SafeHtml.html`
+            <table class="compare-table">
+                <tr><th></th><th>A</th><th>B</th><th>Change</th></tr>
+                ${traitRows}
+                <tr>
+                    <td>Stress</td>
+                    <td>${Math.round(profile.stress.a)}</td>
+                    <td>${Math.round(profile.stress.b)}</td>
+                    <td class="${deltaClass(-profile.stress.delta)}">${signed(profile.stress.delta)}</td>
+                </tr>
+                <tr class="${changed(profile.mbti.a, profile.mbti.b)}">
+                    <td>MBTI</td><td>${profile.mbti.a}</td><td>${profile.mbti.b}</td><td></td>
+                </tr>
+                <tr class="${changed(profile.enneagram.a.type, profile.enneagram.b.type)}">
+                    <td>Enneagram</td><td>Type ${profile.enneagram.a.type}</td><td>Type ${profile.enneagram.b.type}</td><td></td>
+                </tr>
+                <tr>
+                    <td>Final age</td><td>${profile.age.a}</td><td>${profile.age.b}</td><td></td>
+                </tr>
+            </table>
+        `);
+
+        // Trait trajectories over age
+        const allPoints = [...comparison.trajectories.a, ...comparison.trajectories.b];
+        const minAge = Math.min(...allPoints.map(point => point.age));
+        const maxAge = Math.max(...allPoints.map(point => point.age));
+        SafeHtml.render(document.getElementById('compare-charts'), Object.keys(profile.ocean).map(trait => SafeHtml.html`
+            <div class="compare-chart">
+                <div class="compare-chart-label">${PersonalityEngine.traitNames[trait]}</div>
+                ${this.renderTrajectoryChart(trait, comparison.trajectories, minAge, maxAge)}
             </div>
+        `));
+
+        // Events lined up by age
+        const cell = event => event &&
+            SafeHtml.html`<div class="timeline-event">${event.title}</div><div class="timeline-choice">${event.choiceTitle}</div>`;
+        SafeHtml.render(document.getElementById('compare-events'), comparison.rows.map(row => SafeHtml.html`
+            <div class="compare-row ${row.shared ? 'shared' : ''} ${row.diverged ? 'diverged' : ''}">
+                <div class="compare-age">${row.age}</div>
+                <div class="compare-cell">${cell(row.a)}</div>
+                <div class="compare-cell">${cell(row.b)}</div>
+            </div>
+        `));
+    },
+
+    // Draw one trait's trajectory for both branches as an SVG line chart
+    renderTrajectoryChart(trait, trajectories, minAge, maxAge) {
+        const width = 240;
+        const height = 60;
+        const span = Math.max(1, maxAge - minAge);
+
+        const line = points => points.map(point => {
+            const x = ((point.age - minAge) / span) * width;
+            const y = height - (point.ocean[trait] / 100) * height;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        return SafeHtml.html`
+            <svg class="trajectory-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <line class="chart-midline" x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}"></line>
+                <polyline class="chart-line-a" points="${line(trajectories.a)}"></polyline>
+                <polyline class="chart-line-b" points="${line(trajectories.b)}"></polyline>
+            </svg>
         `;
-        container.innerHTML += summaryHtml;
+    },
+
+    // Check whether a timeline event still has unexplored choices
+    canForkAt(index) {
+        const event = EventSystem.eventHistory[index];
+        if (event.retired) return false;
+
+        const scenario = EventSystem.scenarios.find(s => s.id === event.scenarioId);
+        const explored = new Set(LifeTree.getExploredChoices(EventSystem.eventHistory, index));
+        return scenario.choices.some(choice => !explored.has(choice.id));
+    },
+
+    // Re-enter the simulation at a past decision on a new branch
+    forkAt(index) {
+        LifeTree.fork(index);
+        this.saveState();
+        this.showScreen('simulation-screen');
+        this.presentNextScenario();
+    },
+
+    // Move to another branch of this life
+    switchBranch(branchId) {
+        const branch = LifeTree.switchTo(branchId);
+        if (!branch) return;
+
+        this.saveState();
+        if (branch.ended) {
+            this.showTimeline();
+        } else {
+            this.showScreen('simulation-screen');
+            this.presentNextScenario();
+        }
     },
 
     // Reset everything for new simulation
     resetAll() {
+        if (this.playtesting) this.endPlaytest();
         PersonalityEngine.reset();
         EventSystem.reset();
+        LifeTree.reset();
+        this.currentSlot = null;
+        document.getElementById('life-name-input').value = '';
+        document.getElementById('seed-input').value = '';
+        this.renderSaveSlots();
         this.showScreen('welcome-screen');
     },
 
-    // Explore a different branch (replay with same personality)
-    exploreBranch() {
+    // Open the scenario editor on the saved draft, or on the loaded scenarios
+    showEditor() {
+        if (this.playtesting) this.endPlaytest();
+        if (!ScenarioEditor.data) ScenarioEditor.open(ContentPacks.core);
+
+        this.showScreen('editor-screen');
+        this.renderEditor();
+    },
+
+    // Render the whole editor for the selected scenario
+    renderEditor() {
+        this.renderEditorList();
+        this.renderEditorForm();
+        this.renderEditorProfile();
+        this.renderEditorPreview();
+        this.renderEditorIssues();
+    },
+
+    // Fill the scenario picker
+    renderEditorList() {
+        const select = document.getElementById('editor-select');
+        SafeHtml.render(select, ScenarioEditor.data.scenarios.map((scenario, index) => SafeHtml.html`
+            <option value="${index}" ${index === ScenarioEditor.selected ? 'selected' : ''}>${scenario.id} - ${scenario.title}</option>
+        `));
+        document.getElementById('editor-remove-btn').disabled = ScenarioEditor.data.scenarios.length === 0;
+    },
+
+    // One labelled form control bound to a field path of the selected scenario
+    editorField(label, path, value, type = 'text') {
+        const attributes = SafeHtml.html`class="text-input" data-path="${path}" data-type="${type}"`;
+        const control = ['textarea', 'lines', 'json'].includes(type)
+            ? SafeHtml.html`<textarea ${attributes} rows="${type === 'textarea' ? 4 : 3}">${value ?? ''}</textarea>`
+            : SafeHtml.html`<input ${attributes} type="${type === 'number' ? 'number' : 'text'}" value="${value ?? ''}">`;
+        return SafeHtml.html`<label class="editor-field"><span>${label}</span>${control}</label>`;
+    },
+
+    // Render the forms for the selected scenario and its choices
+    renderEditorForm() {
+        const form = document.getElementById('editor-form');
+        const scenario = ScenarioEditor.getScenario();
+        if (!scenario) {
+            SafeHtml.render(form, SafeHtml.html`<p class="pack-empty">No scenarios yet. Add one to start writing.</p>`);
+            return;
+        }
+
+        const field = (...args) => this.editorField(...args);
+        const years = value => Array.isArray(value) ? value.join('-') : value;
+        const json = item => {
+            const extra = ScenarioEditor.getExtra(item, item === scenario ? ScenarioEditor.scenarioFields : ScenarioEditor.choiceFields);
+            return Object.keys(extra).length > 0 ? JSON.stringify(extra, null, 2) : '';
+        };
+        const stages = ['any', ...Object.keys(EventSystem.stages)];
+
+        const choices = (scenario.choices || []).map((choice, index) => {
+            const path = `choices.${index}`;
+            return SafeHtml.html`
+                <fieldset class="editor-group">
+                    <legend>Choice ${index + 1}</legend>
+                    ${field('ID', `${path}.id`, choice.id)}
+                    ${field('Title', `${path}.title`, choice.title)}
+                    ${field('Hint', `${path}.description`, choice.description)}
+                    ${field('Outcome', `${path}.outcome`, choice.outcome, 'textarea')}
+                    <div class="editor-row">
+                        ${DataValidator.traits.map(trait =>
+                            field(PersonalityEngine.traitNames[trait], `${path}.ocean_weights.${trait}`, choice.ocean_weights?.[trait], 'number'))}
+                    </div>
+                    <div class="editor-row">
+                        ${DataValidator.resources.map(resource =>
+                            field(LifeResources.names[resource], `${path}.resources.${resource}`, choice.resources?.[resource], 'number'))}
+                    </div>
+                    <div class="editor-row">
+                        ${field('Stress change', `${path}.stress_delta`, choice.stress_delta, 'number')}
+                        ${field('Years it takes (e.g. 2 or 1-3)', `${path}.years`, years(choice.years), 'years')}
+                    </div>
+                    ${field('Trajectory tags (comma-separated)', `${path}.trajectory_tags`, (choice.trajectory_tags || []).join(', '), 'list')}
+                    ${field('Other fields (JSON)', path, json(choice), 'json')}
+                    <button type="button" class="btn secondary" data-action="remove-choice" data-index="${index}">Remove Choice</button>
+                </fieldset>
+            `;
+        });
+
+        SafeHtml.render(form, SafeHtml.html`
+            <fieldset class="editor-group">
+                <legend>Scenario</legend>
+                ${field('ID', 'id', scenario.id)}
+                ${field('Title', 'title', scenario.title)}
+                <label class="editor-field">
+                    <span>Life stage</span>
+                    <select class="text-input" data-path="life_stage" data-type="text">
+                        ${stages.map(stage => SafeHtml.html`
+                            <option value="${stage}" ${stage === scenario.life_stage ? 'selected' : ''}>${stage === 'any' ? 'Any' : EventSystem.stages[stage].label}</option>
+                        `)}
+                    </select>
+                </label>
+                <div class="editor-row">
+                    ${field('Youngest age', 'age_range.0', scenario.age_range?.[0], 'number')}
+                    ${field('Oldest age', 'age_range.1', scenario.age_range?.[1], 'number')}
+                    ${field('Years it takes (e.g. 2 or 1-3)', 'years', years(scenario.years), 'years')}
+                </div>
+                ${field('Context tags (comma-separated)', 'context_tags', (scenario.context_tags || []).join(', '), 'list')}
+                ${field('Description', 'description', scenario.description, 'textarea')}
+                ${field('Reflection prompts (one per line)', 'reflection_prompts', (scenario.reflection_prompts || []).join('\n'), 'lines')}
+                ${field('Other fields (JSON)', '', json(scenario), 'json')}
+            </fieldset>
+            ${choices}
+            <button type="button" class="btn secondary" data-action="add-choice">Add Choice</button>
+        `);
+    },
+
+    // Apply an edit from the editor form, then refresh what depends on it
+    editField(input) {
+        if (input.dataset.path === undefined) return;
+
+        const path = input.dataset.path === ''
+            ? []
+            : input.dataset.path.split('.').map(key => /^\d+$/.test(key) ? Number(key) : key);
+
+        if (input.dataset.type === 'json') {
+            const error = ScenarioEditor.setExtra(path, input.value);
+            input.classList.toggle('invalid', error !== null);
+            input.title = error || '';
+        } else {
+            ScenarioEditor.setField(path, ScenarioEditor.parseValue(input.dataset.type, input.value));
+        }
+
+        this.renderEditorList();
+        this.renderEditorPreview();
+        this.renderEditorIssues();
+    },
+
+    // Add or remove a choice from the buttons in the form
+    editorAction(target) {
+        if (target.dataset.action === 'add-choice') {
+            ScenarioEditor.addChoice();
+        } else if (target.dataset.action === 'remove-choice') {
+            ScenarioEditor.removeChoice(parseInt(target.dataset.index));
+        } else {
+            return;
+        }
+        this.renderEditor();
+    },
+
+    // A 0-100 slider showing its value, for a trait or stress
+    traitSlider(label, key, value) {
+        return SafeHtml.html`
+            <label class="trait-slider">
+                <span>${label}</span>
+                <input type="range" min="0" max="100" data-key="${key}" value="${value}">
+                <span>${value}</span>
+            </label>
+        `;
+    },
+
+    // Render the sliders for the profile the preview is shown for
+    renderEditorProfile() {
+        const { ocean, stress } = ScenarioEditor.profile;
+        SafeHtml.render(document.getElementById('editor-profile'), [
+            ...DataValidator.traits.map(trait => this.traitSlider(PersonalityEngine.traitNames[trait], trait, ocean[trait])),
+            this.traitSlider('Stress', 'stress', stress)
+        ]);
+    },
+
+    // Move a preview profile slider
+    editPreviewProfile(input) {
+        const value = parseInt(input.value);
+        if (input.dataset.key === 'stress') {
+            ScenarioEditor.profile.stress = value;
+        } else {
+            ScenarioEditor.profile.ocean[input.dataset.key] = value;
+        }
+        input.nextElementSibling.textContent = value;
+        this.renderEditorPreview();
+    },
+
+    // Show the selected scenario the way the simulation screen would, for the preview profile
+    renderEditorPreview() {
+        const scenario = ScenarioEditor.getScenario();
+        document.querySelector('.editor-side').style.display = scenario ? '' : 'none';
+        if (!scenario) return;
+
+        const { ocean, stress } = ScenarioEditor.profile;
+        this.renderScenario(ScenarioEditor.getPreview(), 'preview', { ocean, stress });
+        document.getElementById('playtest-age').placeholder = scenario.age_range?.[0] ?? '';
+    },
+
+    // List problems with the selected scenario, and count those elsewhere in the draft
+    renderEditorIssues(note) {
+        const issues = ScenarioEditor.validate();
+        const own = ScenarioEditor.getScenarioIssues(issues);
+        const elsewhere = DataValidator.summarize(issues).errors.length - DataValidator.summarize(own).errors.length;
+
+        const messages = own.map(issue => `${issue.level}: ${DataValidator.format(issue)}`);
+        if (elsewhere > 0) {
+            messages.push(`${elsewhere} error${elsewhere === 1 ? '' : 's'} in other scenarios or shared sections`);
+        }
+        if (note) messages.unshift(note);
+        this.renderIssueList('editor-issues', messages);
+    },
+
+    // Play the selected scenario from the chosen age with the preview profile; playtests aren't saved
+    playtestScenario() {
+        const { errors } = DataValidator.summarize(ScenarioEditor.validate());
+        if (errors.length > 0) {
+            this.renderEditorIssues('Fix the errors before playtesting.');
+            return;
+        }
+
+        const scenario = ScenarioEditor.getScenario();
+        const chosenAge = parseInt(document.getElementById('playtest-age').value);
+        const age = Math.max(18, Math.min(EventSystem.endAge - 1, Number.isInteger(chosenAge) ? chosenAge : scenario.age_range[0]));
+
+        EventSystem.setScenarioData(ScenarioEditor.data);
+        PersonalityEngine.reset();
+        PersonalityEngine.restoreState({
+            ...PersonalityEngine.getState(),
+            ocean: { ...ScenarioEditor.profile.ocean },
+            stress: ScenarioEditor.profile.stress
+        });
         EventSystem.reset();
+        EventSystem.startAt(age, scenario.id);
+        LifeTree.startRoot();
+        this.currentSlot = null;
+        this.setPlaytesting(true);
+
         this.showScreen('simulation-screen');
         this.presentNextScenario();
     },
 
+    // Show or hide the way back to the editor
+    setPlaytesting(playtesting) {
+        this.playtesting = playtesting;
+        document.querySelectorAll('.editor-return-btn').forEach(btn => {
+            btn.style.display = playtesting ? '' : 'none';
+        });
+    },
+
+    // Leave a playtest, going back to the installed content
+    endPlaytest() {
+        this.setPlaytesting(false);
+        ContentPacks.apply(ContentPacks.getEnabled());
+    },
+
+    // Download the draft as scenarios.json once it has no errors
+    exportScenarios() {
+        const { json, errors } = ScenarioEditor.export();
+        if (errors.length > 0) {
+            this.renderEditorIssues('Fix the errors before exporting.');
+            return;
+        }
+        this.download('scenarios.json', json, 'application/json');
+    },
+
+    // Explore a different branch (pick a past decision to fork from)
+    exploreBranch() {
+        const container = document.getElementById('timeline-visualization');
+        const forking = container.classList.toggle('forking');
+        document.getElementById('explore-branch-btn').textContent =
+            forking ? 'Cancel' : 'Explore Different Path';
+    },
+
+    // Begin saving to a new named slot
+    startSlot(name) {
+        this.currentSlot = SaveManager.createSlotId();
+        this.currentSlotName = name;
+        this.saveState();
+    },
+
     // Save current state
     saveState() {
+        if (!this.currentSlot) return;
+
         const state = {
             personality: PersonalityEngine.getState(),
-            events: EventSystem.getState()
+            events: EventSystem.getState(),
+            branches: LifeTree.getState(),
+            packs: ContentPacks.active
         };
-        localStorage.setItem('forks-save', JSON.stringify(state));
+        const saved = SaveManager.save(this.currentSlot, this.currentSlotName, state) !== null;
+        document.getElementById('save-notice').style.display = saved ? 'none' : 'block';
     },
 
     // Load saved state
-    loadState() {
-        const saved = localStorage.getItem('forks-save');
-        if (saved) {
-            const state = JSON.parse(saved);
-            PersonalityEngine.restoreState(state.personality);
-            EventSystem.restoreState(state.events);
+    loadState(slotId) {
+        // Put back the packs this life was played with, so its pack scenarios aren't retired;
+        // without them it can't continue (the save slot says which are missing)
+        const packs = SaveManager.readPacks(slotId);
+        if (ContentPacks.checkSaved(packs).missing.length > 0) return false;
+        ContentPacks.applySaved(packs);
+
+        const save = SaveManager.read(slotId);
+        if (save) {
+            PersonalityEngine.restoreState(save.personality);
+            EventSystem.restoreState(save.events);
+            if (save.branches) {
+                LifeTree.restoreState(save.branches);
+            } else {
+                LifeTree.startRoot();
+            }
+            this.currentSlot = save.id;
+            this.currentSlotName = save.name;
             return true;
         }
         return false;
@@ -0,0 +1,145 @@
+// Question Selector - Adaptive assessment that asks where we know least
+
+const QuestionSelector = {
+    bank: [],
+    asked: [],
+
+    // Most forced-choice questions any one person is asked; Likert items come after and are all asked
+    maxQuestions: 15,
+
+    // Each earlier question from the same context scales a candidate's value by this
+    contextPenalty: 0.6,
+
+    // Scale points of a Likert item, scored 1-5
+    likertLabels: ['Strongly disagree', 'Disagree', 'Neither agree nor disagree', 'Agree', 'Strongly agree'],
+
+    // Start a new assessment over a question bank
+    reset(bank) {
+        this.bank = bank;
+        this.asked = [];
+    },
+
+    // Record an answered question
+    markAsked(question) {
+        this.asked.push(question);
+    },
+
+    // Answer options: the authored choices, or the scale points of a Likert item
+    getOptions(question) {
+        if (question.format !== 'likert') return question.choices;
+        return this.likertLabels.map((text, index) => ({ text, value: index + 1 }));
+    },
+
+    // Score an answer and record the question as asked
+    answer(question, option) {
+        if (question.format === 'likert') {
+            PersonalityEngine.applyLikert(question.trait, option.value, question.keyed);
+        } else {
+            PersonalityEngine.applyForcedChoice(option.weights);
+        }
+        this.markAsked(question);
+    },
+
+    // How far apart a question's choices push a trait
+    getSpread(question, trait) {
+        const values = question.choices.map(choice => choice.weights[trait] || 0);
+        return Math.max(...values) - Math.min(...values);
+    },
+
+    // How much we still need to learn about a trait
+    getNeed(trait) {
+        const band = PersonalityEngine.confidence[trait];
+        const excess = Math.max(0, band - PersonalityEngine.confidenceTarget);
+
+        // Scores near 50 matter most: they decide which side of a type letter we land on
+        const closeness = Math.max(0, 1 - Math.abs(PersonalityEngine.ocean[trait] - 50) / band);
+        return excess * (1 + closeness);
+    },
+
+    // Expected information from asking a question now
+    informationGain(question) {
+        let gain = 0;
+        for (const trait in PersonalityEngine.confidence) {
+            gain += this.getNeed(trait) * this.getSpread(question, trait) / 40;
+        }
+
+        // Balance contexts so one theme doesn't dominate the profile
+        const sameContext = this.asked.filter(q => q.context === question.context).length;
+        return gain * Math.pow(this.contextPenalty, sameContext);
+    },
+
+    // Check whether the forced-choice questions have learned enough
+    isForcedComplete() {
+        const asked = this.asked.filter(question => question.format !== 'likert').length;
+        if (asked >= this.maxQuestions) return true;
+        return PersonalityEngine.getUncertainTraits().length === 0;
+    },
+
+    // Check whether the assessment is over
+    isComplete() {
+        return this.next() === null;
+    },
+
+    // Questions not asked yet
+    getUnasked() {
+        const askedIds = new Set(this.asked.map(q => q.id));
+        return this.bank.filter(question => !askedIds.has(question.id));
+    },
+
+    // Most informative of these questions, or null if none would tell us anything
+    mostInformative(questions) {
+        let best = null;
+        let bestGain = 0;
+
+        questions.forEach(question => {
+            const gain = this.informationGain(question);
+            if (gain > bestGain) {
+                best = question;
+                bestGain = gain;
+            }
+        });
+
+        return best;
+    },
+
+    // Pick the next question, or null when done: the most informative forced-choice question until
+    // they have learned enough, then every Likert item, since norms only hold for a trait's full item set
+    next() {
+        const unasked = this.getUnasked();
+        if (!this.isForcedComplete()) {
+            const best = this.mostInformative(unasked.filter(question => question.format !== 'likert'));
+            if (best) return best;
+        }
+
+        // Spread the Likert items across traits: the trait with the fewest answers goes next
+        const answered = trait => (PersonalityEngine.likertAnswers[trait] || []).length;
+        const likert = unasked.filter(question => question.format === 'likert');
+        if (likert.length === 0) return null;
+        return likert.reduce((best, question) => answered(question.trait) < answered(best.trait) ? question : best);
+    },
+
+    // Share of the remaining uncertainty already resolved (0-1)
+    getProgress() {
+        const target = PersonalityEngine.confidenceTarget;
+        const traits = Object.keys(PersonalityEngine.confidence);
+        const remaining = traits.reduce((sum, trait) =>
+            sum + Math.max(0, PersonalityEngine.confidence[trait] - target), 0);
+        // Bands start at 30
+        const initial = traits.length * Math.max(1, 30 - target);
+
+        const byBands = 1 - remaining / initial;
+        const byCount = this.asked.filter(question => question.format !== 'likert').length / this.maxQuestions;
+        const forced = this.isForcedComplete() ? 1 : Math.min(1, Math.max(byBands, byCount));
+
+        // With Likert items, the forced-choice part is the first half of the way
+        const likert = this.bank.filter(question => question.format === 'likert').length;
+        if (likert === 0) return forced;
+        const likertLeft = this.getUnasked().filter(question => question.format === 'likert').length;
+        return (forced + 1 - likertLeft / likert) / 2;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionSelector;
+}
@@ -0,0 +1,139 @@
+// Life Tree - Alternate branches of one life, forked from past decisions
+
+const LifeTree = {
+    branches: [],
+    currentId: null,
+
+    // Reset to an empty tree
+    reset() {
+        this.branches = [];
+        this.currentId = null;
+    },
+
+    // Start a tree with the current life as its original path
+    startRoot() {
+        this.reset();
+        const root = {
+            id: 1,
+            parentId: null,
+            label: 'Original path',
+            forkAge: null,
+            ended: false,
+            state: null
+        };
+        this.branches.push(root);
+        this.currentId = root.id;
+        this.captureCurrent();
+        return root;
+    },
+
+    // Get the branch being played
+    current() {
+        return this.getBranch(this.currentId);
+    },
+
+    // Find a branch by id
+    getBranch(id) {
+        return this.branches.find(branch => branch.id === id) || null;
+    },
+
+    // Store the engines' state on the current branch
+    captureCurrent() {
+        const branch = this.current();
+        if (!branch) return;
+
+        // Deep copy so branches never share event objects
+        branch.state = JSON.parse(JSON.stringify({
+            personality: PersonalityEngine.getState(),
+            events: EventSystem.getState()
+        }));
+    },
+
+    // Load a branch's state into the engines
+    restoreBranch(branch) {
+        const state = JSON.parse(JSON.stringify(branch.state));
+        PersonalityEngine.restoreState(state.personality);
+        EventSystem.restoreState(state.events);
+        this.currentId = branch.id;
+    },
+
+    // Fork the current branch at a past event and switch to the new branch
+    fork(eventIndex) {
+        this.captureCurrent();
+        const parent = this.current();
+        const event = EventSystem.eventHistory[eventIndex];
+
+        // Choices already explored from this same point stay excluded
+        const explored = this.getExploredChoices(EventSystem.eventHistory, eventIndex);
+
+        const branch = {
+            id: Math.max(...this.branches.map(b => b.id)) + 1,
+            parentId: parent.id,
+            forkIndex: eventIndex,
+            forkAge: event.age,
+            label: `Age ${event.age}: ${event.title}, not "${event.choiceTitle}"`,
+            ended: false,
+            state: null
+        };
+
+        EventSystem.forkAt(eventIndex, explored);
+        this.branches.push(branch);
+        this.currentId = branch.id;
+        this.captureCurrent();
+
+        return branch;
+    },
+
+    // Get the choices any branch made at a point in a shared history
+    getExploredChoices(history, eventIndex) {
+        const sameEvent = (a, b) =>
+            a.scenarioId === b.scenarioId && a.choiceId === b.choiceId && a.age === b.age;
+        const target = history[eventIndex];
+
+        return this.branches
+            .map(branch => branch.state.events.eventHistory)
+            .filter(other =>
+                other.length > eventIndex &&
+                other[eventIndex].scenarioId === target.scenarioId &&
+                other[eventIndex].age === target.age &&
+                history.slice(0, eventIndex).every((event, i) => sameEvent(event, other[i]))
+            )
+            .map(other => other[eventIndex].choiceId);
+    },
+
+    // Switch to another branch, keeping the current one as it is
+    switchTo(id) {
+        const target = this.getBranch(id);
+        if (!target) return null;
+
+        this.captureCurrent();
+        this.restoreBranch(target);
+        return target;
+    },
+
+    // Mark the current branch as finished
+    markEnded() {
+        const branch = this.current();
+        if (branch) branch.ended = true;
+    },
+
+    // Get state for saving
+    getState() {
+        this.captureCurrent();
+        return {
+            currentId: this.currentId,
+            branches: JSON.parse(JSON.stringify(this.branches))
+        };
+    },
+
+    // Restore from saved state
+    restoreState(state) {
+        this.branches = JSON.parse(JSON.stringify(state.branches));
+        this.currentId = state.currentId;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LifeTree;
+}
@@ -0,0 +1,203 @@
+// Character Roster - The people who recur through a life (parents, friends, partner, children)
+
+const CharacterRoster = {
+    // Role definitions (characters from scenarios.json)
+    definitions: {},
+
+    // People in this life: { role, name, bornAt, closeness, status, metAt }
+    characters: [],
+
+    // Closeness below which a living relationship turns estranged, and at which it mends
+    estrangedBelow: 15,
+    reconciledAt: 30,
+
+    // Random source; the event system injects its seeded generator
+    random: Math.random,
+
+    // Set the role definitions
+    setDefinitions(definitions) {
+        this.definitions = definitions || {};
+    },
+
+    // Start a new life with the people present from the beginning
+    reset(age = 18) {
+        this.characters = [];
+        for (const role in this.definitions) {
+            if (this.definitions[role].initial) this.create(role, age);
+        }
+    },
+
+    // The opening cast at an age as saved state, drawn without touching this life's roster or random sequence
+    getOpeningState(age) {
+        const { characters, random } = this;
+        this.random = Math.random;
+        this.reset(age);
+        const state = this.getState();
+        this.characters = characters;
+        this.random = random;
+        return state;
+    },
+
+    // Get the character playing a role, or null
+    get(role) {
+        return this.characters.find(character => character.role === role) || null;
+    },
+
+    // A character's age when the protagonist is a given age
+    getAge(character, age) {
+        return age - character.bornAt;
+    },
+
+    // Bring a new person into the life
+    create(role, age) {
+        const definition = this.definitions[role] || {};
+        const usedNames = new Set(this.characters.map(character => character.name));
+        const names = (definition.names || [role]).filter(name => !usedNames.has(name));
+        const pool = names.length > 0 ? names : definition.names || [role];
+
+        // Newborns start at zero; everyone else is some years older or younger than the protagonist
+        const [minOffset, maxOffset] = definition.age_offset || [0, 0];
+        const characterAge = definition.newborn
+            ? 0
+            : age + minOffset + Math.floor(this.random() * (maxOffset - minOffset + 1));
+
+        const character = {
+            role,
+            name: pool[Math.floor(this.random() * pool.length)],
+            bornAt: age - characterAge,
+            closeness: definition.closeness ?? 50,
+            status: 'alive',
+            metAt: age
+        };
+        this.characters.push(character);
+        return character;
+    },
+
+    // Get a role's character, creating it if this is their first appearance
+    ensure(role, age) {
+        return this.get(role) || this.create(role, age);
+    },
+
+    // The closest living character among a scenario's subject roles
+    resolveSubject(scenario) {
+        if (!scenario.subject) return null;
+
+        const candidates = scenario.subject
+            .map(role => this.get(role))
+            .filter(character => character && character.status !== 'deceased');
+        if (candidates.length === 0) return null;
+
+        // Earlier roles win ties
+        return candidates.reduce((best, character) => character.closeness > best.closeness ? character : best);
+    },
+
+    // Check a scenario has the people it needs
+    canCast(scenario) {
+        return !scenario.subject || this.resolveSubject(scenario) !== null;
+    },
+
+    // Check authored character conditions: { role: { status, min_closeness, max_closeness, absent } }
+    meetsConditions(conditions) {
+        for (const role in conditions) {
+            const rule = conditions[role];
+            const character = this.get(role);
+
+            if (rule.absent) {
+                if (character) return false;
+                continue;
+            }
+            if (!character) return false;
+
+            const statuses = [].concat(rule.status || []);
+            if (statuses.length > 0 && !statuses.includes(character.status)) return false;
+            if (rule.min_closeness !== undefined && character.closeness < rule.min_closeness) return false;
+            if (rule.max_closeness !== undefined && character.closeness > rule.max_closeness) return false;
+        }
+        return true;
+    },
+
+    // Cast a scenario: create its people, bind its subject and fill in their names
+    personalize(scenario, age) {
+        (scenario.cast || []).forEach(role => this.ensure(role, age));
+        const subject = this.resolveSubject(scenario);
+        const bindings = subject ? { subject: subject.role } : {};
+
+        return {
+            ...scenario,
+            subjectRole: subject ? subject.role : null,
+            title: this.fill(scenario.title, bindings),
+            description: this.fill(scenario.description, bindings),
+            choices: scenario.choices.map(choice => ({
+                ...choice,
+                title: this.fill(choice.title, bindings),
+                description: this.fill(choice.description, bindings)
+            }))
+        };
+    },
+
+    // Replace {role} with a name and {role.relation} with the role's label
+    fill(text, bindings = {}) {
+        if (!text) return text;
+
+        return text.replace(/\{(\w+)(\.relation)?\}/g, (match, key, relation) => {
+            const role = bindings[key] || key;
+            const definition = this.definitions[role];
+            if (!definition) return match;
+
+            const label = definition.label || role;
+            if (relation) return label;
+
+            const character = this.get(role);
+            return character ? character.name : `your ${label}`;
+        });
+    },
+
+    // Apply a choice's character effects: { role: { closeness, status } }; "subject" means the bound subject
+    applyEffects(effects, age, subjectRole = null) {
+        for (const key in effects) {
+            const role = key === 'subject' ? subjectRole : key;
+            if (!role) continue;
+
+            const effect = effects[key];
+            const character = this.ensure(role, age);
+
+            if (effect.closeness) {
+                character.closeness = Math.max(0, Math.min(100, character.closeness + effect.closeness));
+            }
+
+            if (effect.status) {
+                character.status = effect.status;
+            } else if (character.status === 'alive' && character.closeness < this.estrangedBelow) {
+                character.status = 'estranged';
+            } else if (character.status === 'estranged' && character.closeness >= this.reconciledAt) {
+                character.status = 'alive';
+            }
+        }
+    },
+
+    // Everyone in the life with their current age, for display
+    getCast(age) {
+        return this.characters.map(character => ({
+            ...character,
+            relation: this.definitions[character.role]?.label || character.role,
+            age: this.getAge(character, age)
+        }));
+    },
+
+    // Get state for saving
+    getState() {
+        return {
+            characters: this.characters.map(character => ({ ...character }))
+        };
+    },
+
+    // Restore from saved state
+    restoreState(state) {
+        this.characters = state.characters.map(character => ({ ...character }));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CharacterRoster;
+}
@@ -0,0 +1,127 @@
+// Branch Comparison - Line up two lives and diff where they ended up
+
+const BranchComparison = {
+    // Check whether two events are the same decision
+    sameEvent(a, b) {
+        return a.scenarioId === b.scenarioId && a.choiceId === b.choiceId && a.age === b.age;
+    },
+
+    // Index of the first event where two histories differ
+    findDivergence(historyA, historyB) {
+        const length = Math.min(historyA.length, historyB.length);
+        for (let i = 0; i < length; i++) {
+            if (!this.sameEvent(historyA[i], historyB[i])) return i;
+        }
+        return length;
+    },
+
+    // Line up two histories by age, marking shared and diverging rows
+    alignByAge(historyA, historyB) {
+        const divergence = this.findDivergence(historyA, historyB);
+        const rows = [];
+
+        // Shared prefix pairs up one to one
+        for (let i = 0; i < divergence; i++) {
+            rows.push({ age: historyA[i].age, a: historyA[i], b: historyB[i], shared: true });
+        }
+
+        // After the fork, events pair up only when they fall at the same age
+        const restA = historyA.slice(divergence);
+        const restB = historyB.slice(divergence);
+        const ages = [...new Set([...restA, ...restB].map(event => event.age))].sort((x, y) => x - y);
+
+        ages.forEach(age => {
+            const eventsA = restA.filter(event => event.age === age);
+            const eventsB = restB.filter(event => event.age === age);
+            const count = Math.max(eventsA.length, eventsB.length);
+
+            for (let i = 0; i < count; i++) {
+                rows.push({
+                    age,
+                    a: eventsA[i] || null,
+                    b: eventsB[i] || null,
+                    shared: false
+                });
+            }
+        });
+
+        if (rows.length > divergence) {
+            rows[divergence].diverged = true;
+        }
+
+        return rows;
+    },
+
+    // Trait values over age: the starting profile, then after each event, then the final state
+    getTrajectory(state) {
+        const history = state.events.eventHistory;
+        const points = [];
+
+        if (history.length > 0) {
+            points.push({ age: history[0].age, ocean: { ...history[0].oceanBefore } });
+        }
+        history.forEach(event => {
+            points.push({ age: event.age, ocean: { ...event.oceanAfter } });
+        });
+        points.push({ age: state.events.currentAge, ocean: { ...state.personality.ocean } });
+
+        return points;
+    },
+
+    // Diff the final profiles of two branches
+    diffProfiles(stateA, stateB) {
+        const oceanA = stateA.personality.ocean;
+        const oceanB = stateB.personality.ocean;
+
+        const ocean = {};
+        for (const trait in oceanA) {
+            ocean[trait] = {
+                a: oceanA[trait],
+                b: oceanB[trait],
+                delta: oceanB[trait] - oceanA[trait]
+            };
+        }
+
+        return {
+            ocean,
+            stress: {
+                a: stateA.personality.stress,
+                b: stateB.personality.stress,
+                delta: stateB.personality.stress - stateA.personality.stress
+            },
+            mbti: {
+                a: PersonalityEngine.deriveMBTI(oceanA),
+                b: PersonalityEngine.deriveMBTI(oceanB)
+            },
+            enneagram: {
+                a: PersonalityEngine.deriveEnneagram(oceanA),
+                b: PersonalityEngine.deriveEnneagram(oceanB)
+            },
+            age: {
+                a: stateA.events.currentAge,
+                b: stateB.events.currentAge
+            }
+        };
+    },
+
+    // Build the full comparison of two branch states
+    compare(stateA, stateB) {
+        const historyA = stateA.events.eventHistory;
+        const historyB = stateB.events.eventHistory;
+
+        return {
+            divergence: this.findDivergence(historyA, historyB),
+            rows: this.alignByAge(historyA, historyB),
+            profile: this.diffProfiles(stateA, stateB),
+            trajectories: {
+                a: this.getTrajectory(stateA),
+                b: this.getTrajectory(stateB)
+            }
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BranchComparison;
+}
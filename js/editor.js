@@ -0,0 +1,248 @@
+// Scenario Editor - A working copy of scenarios.json content edited through forms, kept as a local draft
+
+const ScenarioEditor = {
+    // Working copy of the scenarios.json content
+    data: null,
+
+    // Index of the scenario being edited
+    selected: 0,
+
+    // Profile the preview's alignment hints are shown for, and playtests start with
+    profile: {
+        ocean: { O: 50, C: 50, E: 50, A: 50, N: 50 },
+        stress: 0
+    },
+
+    // localStorage key for the unexported draft
+    draftKey: 'forks-editor-draft',
+
+    // Longest line exported JSON keeps on one line
+    lineWidth: 110,
+
+    // Fields the forms edit; anything else is kept and edited as JSON
+    scenarioFields: ['id', 'title', 'life_stage', 'age_range', 'years', 'context_tags', 'description', 'reflection_prompts', 'choices'],
+    choiceFields: ['id', 'title', 'description', 'outcome', 'ocean_weights', 'trajectory_tags', 'stress_delta', 'resources', 'years'],
+
+    // Start from the saved draft, or a copy of the given content
+    open(core) {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.draftKey));
+        } catch (error) {
+            draft = null;
+        }
+
+        this.data = draft && Array.isArray(draft.scenarios) ? draft : JSON.parse(JSON.stringify(core));
+        this.selected = Math.min(this.selected, Math.max(0, this.data.scenarios.length - 1));
+    },
+
+    // Throw the draft away and start again from the given content
+    discardDraft(core) {
+        localStorage.removeItem(this.draftKey);
+        this.selected = 0;
+        this.open(core);
+    },
+
+    // Keep the draft across reloads
+    saveDraft() {
+        localStorage.setItem(this.draftKey, JSON.stringify(this.data));
+    },
+
+    // The scenario being edited, or null when there are none
+    getScenario(index = this.selected) {
+        return this.data.scenarios[index] || null;
+    },
+
+    // Edit another scenario
+    select(index) {
+        this.selected = index;
+    },
+
+    // Add a scenario with one choice and select it
+    addScenario() {
+        const ids = new Set(this.data.scenarios.map(scenario => scenario.id));
+        let n = this.data.scenarios.length + 1;
+        while (ids.has(`new_${String(n).padStart(2, '0')}`)) n++;
+
+        this.data.scenarios.push({
+            id: `new_${String(n).padStart(2, '0')}`,
+            title: 'New Scenario',
+            life_stage: 'any',
+            age_range: [18, 75],
+            context_tags: [],
+            description: '',
+            choices: [this.createChoice(1)],
+            reflection_prompts: []
+        });
+        this.selected = this.data.scenarios.length - 1;
+        this.saveDraft();
+    },
+
+    // Delete a scenario, keeping a neighbour selected
+    removeScenario(index = this.selected) {
+        this.data.scenarios.splice(index, 1);
+        this.selected = Math.max(0, Math.min(this.selected, this.data.scenarios.length - 1));
+        this.saveDraft();
+    },
+
+    // An empty choice for the forms to fill in
+    createChoice(n) {
+        return {
+            id: `choice_${n}`,
+            title: '',
+            description: '',
+            ocean_weights: {},
+            trajectory_tags: [],
+            outcome: '',
+            stress_delta: 0
+        };
+    },
+
+    // Add a choice to the selected scenario
+    addChoice() {
+        const choices = this.getScenario().choices;
+        const ids = new Set(choices.map(choice => choice.id));
+        let n = choices.length + 1;
+        while (ids.has(`choice_${n}`)) n++;
+
+        choices.push(this.createChoice(n));
+        this.saveDraft();
+    },
+
+    // Delete a choice from the selected scenario
+    removeChoice(index) {
+        this.getScenario().choices.splice(index, 1);
+        this.saveDraft();
+    },
+
+    // Turn a form value into field data by input type; undefined removes the field
+    parseValue(type, raw) {
+        if (type === 'number') return raw === '' ? undefined : Number(raw);
+        if (type === 'list') return raw.split(',').map(item => item.trim()).filter(Boolean);
+        if (type === 'lines') return raw.split('\n').map(line => line.trim()).filter(Boolean);
+        if (type === 'years') {
+            const range = raw.match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+            if (range) return [Number(range[1]), Number(range[2])];
+            if (/^\s*\d+\s*$/.test(raw)) return Number(raw);
+        }
+        return raw === '' ? undefined : raw;
+    },
+
+    // Set a field of the selected scenario by path, e.g. ['choices', 0, 'ocean_weights', 'O']
+    setField(path, value) {
+        let target = this.getScenario();
+        for (let i = 0; i < path.length - 1; i++) {
+            if (target[path[i]] === undefined) {
+                target[path[i]] = typeof path[i + 1] === 'number' ? [] : {};
+            }
+            target = target[path[i]];
+        }
+
+        const key = path[path.length - 1];
+        if (value === undefined && !Array.isArray(target)) {
+            delete target[key];
+        } else {
+            target[key] = value;
+        }
+        this.saveDraft();
+    },
+
+    // Fields of an item the forms don't cover
+    getExtra(item, fields) {
+        const extra = {};
+        for (const key in item) {
+            if (!fields.includes(key)) extra[key] = item[key];
+        }
+        return extra;
+    },
+
+    // Replace the fields the forms don't cover from JSON text; returns an error message, or null
+    setExtra(path, text) {
+        let extra;
+        try {
+            extra = text.trim() === '' ? {} : JSON.parse(text);
+        } catch (error) {
+            return `not valid JSON (${error.message})`;
+        }
+        if (!extra || typeof extra !== 'object' || Array.isArray(extra)) return 'must be a JSON object';
+
+        const item = path.reduce((target, key) => target[key], this.getScenario());
+        const fields = path.length === 0 ? this.scenarioFields : this.choiceFields;
+        for (const key in item) {
+            if (!fields.includes(key)) delete item[key];
+        }
+        for (const key in extra) {
+            if (!fields.includes(key)) item[key] = extra[key];
+        }
+        this.saveDraft();
+        return null;
+    },
+
+    // The selected scenario as a player would see it, with people named from the current roster
+    getPreview() {
+        const scenario = this.getScenario();
+        const fill = text => CharacterRoster.fill(text || '');
+        return {
+            ...scenario,
+            title: fill(scenario.title),
+            description: fill(scenario.description),
+            choices: (scenario.choices || []).map(choice => ({
+                ...choice,
+                title: fill(choice.title),
+                description: fill(choice.description)
+            }))
+        };
+    },
+
+    // Validate the whole draft
+    validate() {
+        return DataValidator.validateScenarios(this.data, EventSystem.stages);
+    },
+
+    // Issues about one scenario, with paths relative to it
+    getScenarioIssues(issues, index = this.selected) {
+        const prefix = `scenarios[${index}]`;
+        return issues
+            .filter(issue => issue.path === prefix || issue.path.startsWith(`${prefix}.`))
+            .map(issue => ({ ...issue, path: issue.path.slice(prefix.length + 1) || 'scenario' }));
+    },
+
+    // The draft as scenarios.json text, with any errors that stop it being exported
+    export() {
+        const { errors } = DataValidator.summarize(this.validate());
+        return { json: `${this.formatJson(this.data)}\n`, errors };
+    },
+
+    // JSON laid out like the hand-written data files: anything that fits on a line stays on one
+    formatJson(value, indent = '', prefix = 0) {
+        if (!value || typeof value !== 'object') return JSON.stringify(value);
+
+        const inline = this.compactJson(value);
+        if (indent.length + prefix + inline.length <= this.lineWidth) return inline;
+
+        const inner = `${indent}  `;
+        if (Array.isArray(value)) {
+            return `[\n${value.map(item => inner + this.formatJson(item, inner)).join(',\n')}\n${indent}]`;
+        }
+        const entries = Object.entries(value).map(([key, item]) => {
+            const name = `${JSON.stringify(key)}: `;
+            return inner + name + this.formatJson(item, inner, name.length);
+        });
+        return `{\n${entries.join(',\n')}\n${indent}}`;
+    },
+
+    // Single-line JSON with spaces after commas and colons
+    compactJson(value) {
+        if (Array.isArray(value)) return `[${value.map(item => this.compactJson(item)).join(', ')}]`;
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${this.compactJson(item)}`);
+            return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+        }
+        return JSON.stringify(value);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioEditor;
+}
@@ -0,0 +1,76 @@
+// Life Endings - Authored endings chosen from how a life turned out, and the gallery of those unlocked
+
+const LifeEndings = {
+    // Ending definitions (endings from scenarios.json)
+    definitions: [],
+
+    // localStorage key for the ids of endings reached in any life
+    storageKey: 'forks-endings',
+
+    // Set the ending definitions
+    setDefinitions(definitions) {
+        this.definitions = definitions || [];
+    },
+
+    // Get an ending by id, or null
+    get(id) {
+        return this.definitions.find(ending => ending.id === id) || null;
+    },
+
+    // The ending this life has reached: one a choice triggered, or the best fit for the final profile
+    resolve() {
+        return this.get(EventSystem.getTriggeredEnding()) || this.select();
+    },
+
+    // Highest-priority ending whose conditions the life meets; earlier endings win ties
+    select() {
+        const eligible = this.definitions.filter(ending =>
+            !ending.triggered_only && EventSystem.checkConditions(ending.conditions)
+        );
+        if (eligible.length === 0) return null;
+
+        return eligible.reduce((best, ending) =>
+            (ending.priority || 0) > (best.priority || 0) ? ending : best
+        );
+    },
+
+    // The ending's epilogue, with the people of this life named
+    writeEpilogue(ending) {
+        return CharacterRoster.fill(ending.epilogue);
+    },
+
+    // Ids of endings reached so far
+    getUnlocked() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // Remember that an ending was reached
+    unlock(id) {
+        const unlocked = this.getUnlocked();
+        if (unlocked.includes(id)) return false;
+
+        unlocked.push(id);
+        localStorage.setItem(this.storageKey, JSON.stringify(unlocked));
+        return true;
+    },
+
+    // Every ending with whether it has been reached; locked ones keep only their hint
+    getGallery() {
+        const unlocked = new Set(this.getUnlocked());
+        return this.definitions.map(ending => ({
+            id: ending.id,
+            title: ending.title,
+            hint: ending.hint || '',
+            unlocked: unlocked.has(ending.id)
+        }));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LifeEndings;
+}
@@ -7,6 +7,28 @@ const EventSystem = {
     eventHistory: [],
     availableScenarios: [],
 
+    // Scenario to revisit after a fork, minus the choices already taken there
+    forcedScenario: null,
+
+    // Choices adding at least this much stress are locked out while stress is high
+    lockedStressDelta: 15,
+
+    // Age the simulation ends at
+    endAge: 75,
+
+    // Gaps between events at least this long are summarized as quiet years
+    quietYearsMin: 3,
+
+    // How the last scenario was chosen, for the debug overlay
+    lastSelection: null,
+
+    // Both engines' state from just before the current scenario was drawn; the next event keeps it
+    pendingSnapshot: null,
+
+    // Seeded random generator; every random draw in a run goes through it
+    seed: null,
+    rng: null,
+
     // Life stage definitions
     stages: {
         early: { min: 15, max: 25, label: 'Early Life' },
@@ -14,30 +36,65 @@ const EventSystem = {
         later: { min: 51, max: 80, label: 'Later Life' }
     },
 
-    // Load scenarios from JSON
+    // Load and validate scenarios from JSON; returns the validation issues
     async loadScenarios() {
         try {
             const response = await fetch('data/scenarios.json');
             const data = await response.json();
-            this.scenarios = data.scenarios;
-            this.trajectoryDescriptions = data.trajectory_descriptions;
-            this.globalModifiers = data.global_modifiers;
-            this.refreshAvailableScenarios();
-            return true;
+
+            const issues = DataValidator.validateScenarios(data, this.stages);
+            if (DataValidator.summarize(issues).errors.length === 0) {
+                ContentPacks.setCore(data);
+                this.setScenarioData(data);
+            }
+            return issues;
         } catch (error) {
             console.error('Failed to load scenarios:', error);
-            return false;
+            return [{ level: 'error', path: 'scenarios', message: `could not be loaded (${error.message})` }];
         }
     },
 
-    // Reset event system
-    reset() {
+    // Use parsed scenarios.json content
+    setScenarioData(data) {
+        this.scenarios = data.scenarios;
+        this.trajectoryDescriptions = data.trajectory_descriptions;
+        this.globalModifiers = data.global_modifiers;
+        this.trajectoryAffinity = data.trajectory_affinity || {};
+        this.contextTraits = data.context_traits || {};
+        WorldEvents.setModifiers(this.globalModifiers);
+        CharacterRoster.setDefinitions(data.characters);
+        LifeEndings.setDefinitions(data.endings);
+        this.refreshAvailableScenarios();
+    },
+
+    // Reset event system (a new seed is picked unless one is given)
+    reset(seed = SeededRandom.generateSeed()) {
         this.currentAge = 18;
         this.currentStage = 'early';
         this.eventHistory = [];
+        this.forcedScenario = null;
+        this.lastSelection = null;
+        this.pendingSnapshot = null;
+        this.setSeed(seed);
+        WorldEvents.reset(this.currentAge);
+        CharacterRoster.reset(this.currentAge);
+        LifeResources.reset();
         this.refreshAvailableScenarios();
     },
 
+    // Seed the random generator for this run
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.rng = SeededRandom.create(this.seed);
+        WorldEvents.random = () => this.random();
+        CharacterRoster.random = () => this.random();
+    },
+
+    // Next random float in [0, 1) from the run's generator
+    random() {
+        return this.rng.next();
+    },
+
     // Determine current life stage based on age
     updateStage() {
         if (this.currentAge <= 25) {
@@ -57,6 +114,9 @@ const EventSystem = {
             // Not already used
             if (usedIds.has(scenario.id)) return false;
 
+            // Follow-ups only happen when a choice schedules them
+            if (scenario.scheduled_only) return false;
+
             // Age appropriate
             if (scenario.life_stage !== 'any' && scenario.life_stage !== this.currentStage) {
                 return false;
@@ -68,46 +128,223 @@ const EventSystem = {
                 return false;
             }
 
-            return true;
+            // Allowed by current world events
+            if (!WorldEvents.allowsScenario(scenario)) {
+                return false;
+            }
+
+            // Authored prerequisites and exclusions
+            return this.meetsConditions(scenario);
         });
     },
 
-    // Select next scenario based on personality and trajectory
+    // Check a scenario's cast and authored conditions against the life so far
+    meetsConditions(scenario) {
+        // A scenario about someone needs that someone
+        if (!CharacterRoster.canCast(scenario)) return false;
+
+        return this.checkConditions(scenario.conditions);
+    },
+
+    // Check authored conditions (shared by scenarios and endings) against the life so far
+    checkConditions(conditions) {
+        if (!conditions) return true;
+
+        // References are "scenario" (any choice) or "scenario:choice"
+        const madeChoices = new Set(this.eventHistory.map(e => `${e.scenarioId}:${e.choiceId}`));
+        const seenScenarios = new Set(this.eventHistory.map(e => e.scenarioId));
+        const happened = ref => ref.includes(':') ? madeChoices.has(ref) : seenScenarios.has(ref);
+
+        if (conditions.requires && !conditions.requires.every(happened)) return false;
+        if (conditions.excludes && conditions.excludes.some(happened)) return false;
+
+        const { ocean, stress, trajectoryTags } = PersonalityEngine;
+        for (const trait in conditions.min_traits) {
+            if (ocean[trait] < conditions.min_traits[trait]) return false;
+        }
+        for (const trait in conditions.max_traits) {
+            if (ocean[trait] > conditions.max_traits[trait]) return false;
+        }
+        if (conditions.min_stress !== undefined && stress < conditions.min_stress) return false;
+        if (conditions.max_stress !== undefined && stress > conditions.max_stress) return false;
+        for (const tag in conditions.min_trajectory) {
+            if ((trajectoryTags[tag] || 0) < conditions.min_trajectory[tag]) return false;
+        }
+        if (conditions.characters && !CharacterRoster.meetsConditions(conditions.characters)) return false;
+
+        const resources = LifeResources.values;
+        for (const resource in conditions.min_resources) {
+            if (resources[resource] < conditions.min_resources[resource]) return false;
+        }
+        for (const resource in conditions.max_resources) {
+            if (resources[resource] > conditions.max_resources[resource]) return false;
+        }
+
+        return true;
+    },
+
+    // Follow-ups scheduled by past choices that haven't happened yet
+    getPendingFollowUps() {
+        const usedIds = new Set(this.eventHistory.map(e => e.scenarioId));
+        return this.eventHistory
+            .filter(event => event.followUp && !usedIds.has(event.followUp.scenarioId))
+            .map(event => event.followUp);
+    },
+
+    // Get the earliest follow-up that is due and still possible
+    getDueFollowUp() {
+        const due = this.getPendingFollowUps()
+            .filter(followUp => followUp.dueAge <= this.currentAge)
+            .sort((a, b) => a.dueAge - b.dueAge);
+
+        for (const followUp of due) {
+            const scenario = this.scenarios.find(s => s.id === followUp.scenarioId);
+            if (scenario && WorldEvents.allowsScenario(scenario) && this.meetsConditions(scenario)) {
+                return scenario;
+            }
+        }
+        return null;
+    },
+
+    // Jump a fresh life to an age with a given scenario up next (for playtesting)
+    startAt(age, scenarioId) {
+        this.currentAge = age;
+        this.updateStage();
+        WorldEvents.reset(age);
+        CharacterRoster.reset(age);
+        this.forcedScenario = { scenarioId, excludedChoices: [] };
+        this.refreshAvailableScenarios();
+    },
+
+    // Select the next scenario, cast with the people of this life
     selectNextScenario() {
+        // Snapshot before drawing, so rewinding to this decision replays the same draw
+        this.pendingSnapshot = this.takeSnapshot();
+        const scenario = this.pickScenario();
+        return scenario && CharacterRoster.personalize(scenario, this.currentAge);
+    },
+
+    // Pick the next scenario based on personality and trajectory
+    pickScenario() {
+        // A fork revisits its scenario before anything else
+        if (this.forcedScenario) {
+            const forced = this.getForcedScenario();
+            if (forced) return this.recordSelection(forced, 'forked');
+            this.forcedScenario = null;
+        }
+
+        // Follow-ups come due regardless of life stage or age range
+        const followUp = this.getDueFollowUp();
+        if (followUp) return this.recordSelection(followUp, 'follow-up');
+
         this.refreshAvailableScenarios();
 
         if (this.availableScenarios.length === 0) {
+            this.lastSelection = null;
             return null;
         }
 
-        // Weight scenarios by relevance to current trajectory
+        // A crisis pre-empts everything else
+        const crises = this.availableScenarios.filter(scenario => scenario.crisis);
+        if (crises.length > 0) {
+            return this.recordSelection(crises[Math.floor(this.random() * crises.length)], 'crisis');
+        }
+
+        // Weight scenarios by relevance to trajectory and personality, then draw in proportion
         const dominantTags = PersonalityEngine.getDominantTrajectories(3);
-        const weighted = this.availableScenarios.map(scenario => {
-            let weight = 1;
+        const candidates = this.availableScenarios.map(scenario => this.scoreScenario(scenario, dominantTags));
+        const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+
+        let roll = this.random() * total;
+        let selected = candidates[candidates.length - 1];
+        for (const candidate of candidates) {
+            roll -= candidate.weight;
+            if (roll < 0) {
+                selected = candidate;
+                break;
+            }
+        }
 
-            // Boost scenarios that match trajectory tags
-            scenario.context_tags.forEach(tag => {
-                if (dominantTags.some(t => tag.includes(t) || t.includes(tag))) {
-                    weight += 0.5;
+        candidates.forEach(candidate => {
+            candidate.chance = candidate.weight / total;
+        });
+        return this.recordSelection(selected.scenario, 'weighted', candidates);
+    },
+
+    // Weight of a scenario for the current person, with the reasons behind it
+    scoreScenario(scenario, dominantTags) {
+        const reasons = [{ source: 'base', amount: 1 }];
+
+        // Authored affinity between the life's dominant trajectories and the scenario's contexts
+        dominantTags.forEach(trajectory => {
+            const affinity = this.trajectoryAffinity[trajectory] || {};
+            scenario.context_tags.forEach(context => {
+                if (affinity[context]) {
+                    reasons.push({ source: `${trajectory} → ${context}`, amount: affinity[context] });
                 }
             });
+        });
 
-            // Slight randomness
-            weight += Math.random() * 0.5;
-
-            return { scenario, weight };
+        // Personalities lean toward some contexts: a trait 50 points off the middle counts in full
+        scenario.context_tags.forEach(context => {
+            const leanings = this.contextTraits[context] || {};
+            let lean = 0;
+            for (const trait in leanings) {
+                lean += leanings[trait] * (PersonalityEngine.ocean[trait] - 50) / 50;
+            }
+            if (lean !== 0) {
+                reasons.push({ source: `traits → ${context}`, amount: Math.round(lean * 100) / 100 });
+            }
         });
 
-        // Sort by weight and pick from top candidates
-        weighted.sort((a, b) => b.weight - a.weight);
-        const topCandidates = weighted.slice(0, Math.min(3, weighted.length));
-        const selected = topCandidates[Math.floor(Math.random() * topCandidates.length)];
+        // Scenarios tied to an active world event take precedence
+        if (scenario.global_modifier) {
+            reasons.push({ source: `world: ${scenario.global_modifier}`, amount: 1 });
+        }
+
+        const weight = Math.max(0.1, reasons.reduce((sum, reason) => sum + reason.amount, 0));
+        return { scenario, weight, reasons };
+    },
+
+    // Remember why a scenario was picked
+    recordSelection(scenario, rule, candidates = []) {
+        this.lastSelection = {
+            scenarioId: scenario.id,
+            rule,
+            age: this.currentAge,
+            dominantTags: PersonalityEngine.getDominantTrajectories(3),
+            candidates: candidates.map(candidate => ({
+                id: candidate.scenario.id,
+                weight: candidate.weight,
+                chance: candidate.chance,
+                reasons: candidate.reasons
+            }))
+        };
+        return scenario;
+    },
+
+    // Get the scenario a fork revisits, with excluded choices removed
+    getForcedScenario() {
+        const { scenarioId, excludedChoices } = this.forcedScenario;
+        const scenario = this.scenarios.find(s => s.id === scenarioId);
+        if (!scenario) return null;
 
-        return selected.scenario;
+        const choices = scenario.choices.filter(choice => !excludedChoices.includes(choice.id));
+        if (choices.length === 0) return null;
+
+        return { ...scenario, choices };
     },
 
     // Process a choice made in a scenario
     processChoice(scenario, choice) {
+        const snapshot = this.pendingSnapshot || this.takeSnapshot();
+        this.pendingSnapshot = null;
+        this.forcedScenario = null;
+
+        // Decide how the choice turns out before it changes anything
+        const variant = this.resolveOutcome(choice);
+        const effects = this.combineEffects(choice, variant);
+
         // Record the event
         const event = {
             scenarioId: scenario.id,
@@ -116,24 +353,56 @@ const EventSystem = {
             choiceTitle: choice.title,
             age: this.currentAge,
             stage: this.currentStage,
-            outcome: choice.outcome,
+            outcome: variant?.outcome || choice.outcome,
+            outcomeId: variant?.id || null,
+            outcomeLabel: variant?.label || null,
+            reflectionPrompt: this.getReflectionPrompt(scenario),
             oceanBefore: { ...PersonalityEngine.ocean },
-            stressBefore: PersonalityEngine.stress
+            stressBefore: PersonalityEngine.stress,
+            highStressYearsBefore: PersonalityEngine.highStressYears,
+            trajectoryBefore: { ...PersonalityEngine.trajectoryTags },
+            charactersBefore: CharacterRoster.getState(),
+            resourcesBefore: { ...LifeResources.values },
+            snapshot
         };
 
         // Apply personality changes
-        if (choice.ocean_weights) {
-            PersonalityEngine.applyWeights(choice.ocean_weights);
+        if (effects.ocean_weights) {
+            PersonalityEngine.applyWeights(effects.ocean_weights);
         }
 
         // Apply stress changes
-        if (choice.stress_delta !== undefined) {
-            PersonalityEngine.applyStress(choice.stress_delta);
+        if (effects.stress_delta !== undefined) {
+            PersonalityEngine.applyStress(effects.stress_delta);
         }
 
         // Add trajectory tags
-        if (choice.trajectory_tags) {
-            PersonalityEngine.addTrajectoryTags(choice.trajectory_tags);
+        if (effects.trajectory_tags) {
+            PersonalityEngine.addTrajectoryTags(effects.trajectory_tags);
+        }
+
+        // Apply material consequences
+        if (effects.resources) {
+            LifeResources.apply(effects.resources);
+        }
+
+        // Change the people involved, then name them in the outcome
+        if (effects.characters) {
+            CharacterRoster.applyEffects(effects.characters, this.currentAge, scenario.subjectRole);
+        }
+        event.outcome = CharacterRoster.fill(event.outcome, scenario.subjectRole ? { subject: scenario.subjectRole } : {});
+
+        // Some outcomes end the life here
+        if (effects.ending) {
+            event.ending = effects.ending;
+        }
+
+        // Schedule a follow-up scenario years from now
+        if (choice.follow_up) {
+            event.followUp = {
+                scenarioId: choice.follow_up.scenario,
+                dueAge: this.currentAge + choice.follow_up.years
+            };
         }
 
         // Record changes
@@ -148,19 +417,309 @@ const EventSystem = {
             }
         }
 
+        event.resourcesAfter = { ...LifeResources.values };
+        event.resourceChanges = {};
+        for (const resource in event.resourcesAfter) {
+            const change = event.resourcesAfter[resource] - event.resourcesBefore[resource];
+            if (change !== 0) {
+                event.resourceChanges[resource] = change;
+            }
+        }
+
         this.eventHistory.push(event);
+        if (event.ending) {
+            return event;
+        }
+
+        // Let the time this choice takes pass, then any quiet years until something can happen
+        const before = this.snapshotYears();
+        event.worldEvents = this.passYears(this.limitAgeAdvance(this.calculateAgeAdvance(scenario, choice)));
+        event.worldEvents.push(...this.waitForNextScenario());
+        event.quietYears = this.summarizeYears(before);
 
-        // Advance age (variable based on event type)
-        const ageAdvance = this.calculateAgeAdvance(scenario, choice);
-        this.currentAge += ageAdvance;
+        return event;
+    },
+
+    // Unused scenarios this life could still reach after now, with the first and last ages they can happen at
+    getUpcomingScenarios() {
+        const usedIds = new Set(this.eventHistory.map(e => e.scenarioId));
+
+        return this.scenarios
+            .filter(scenario => !usedIds.has(scenario.id) && !scenario.scheduled_only)
+            // Scarcity passes; a world event that isn't happening can't be waited for
+            .filter(scenario => !scenario.global_modifier || WorldEvents.isActive(scenario.global_modifier))
+            .filter(scenario => this.meetsConditions(scenario))
+            .map(scenario => {
+                const [minAge, maxAge] = scenario.age_range;
+                const stage = this.stages[scenario.life_stage];
+                return {
+                    scenario,
+                    first: Math.max(minAge, stage ? stage.min : minAge, this.currentAge + 1),
+                    last: Math.min(maxAge, stage ? stage.max : maxAge, this.endAge - 1)
+                };
+            })
+            .filter(window => window.first <= window.last);
+    },
+
+    // Shorten an advance so it doesn't carry the life past a scenario's last age or a follow-up's due age
+    limitAgeAdvance(years) {
+        let target = this.currentAge + years;
+
+        this.getUpcomingScenarios().forEach(({ first, last }) => {
+            if (first <= target && last < target) target = last;
+        });
+        this.getPendingFollowUps().forEach(followUp => {
+            if (followUp.dueAge > this.currentAge && followUp.dueAge < target) target = followUp.dueAge;
+        });
+
+        return target - this.currentAge;
+    },
+
+    // With nothing possible now, let years pass until a scenario or follow-up can happen
+    waitForNextScenario() {
+        const started = [];
+
+        while (!this.getDueFollowUp()) {
+            this.refreshAvailableScenarios();
+            if (this.availableScenarios.length > 0) break;
+
+            const openings = [
+                ...this.getUpcomingScenarios().map(window => window.first),
+                ...this.getPendingFollowUps().map(followUp => followUp.dueAge).filter(age => age > this.currentAge)
+            ];
+            if (openings.length === 0) break;
+
+            // World events or failing health can keep the door shut; stop once time stops
+            const age = this.currentAge;
+            started.push(...this.passYears(Math.min(...openings, this.endAge) - age));
+            if (this.currentAge === age) break;
+        }
+
+        return started;
+    },
+
+    // Where personality and resources stand before years pass
+    snapshotYears() {
+        return {
+            age: this.currentAge,
+            ocean: { ...PersonalityEngine.ocean },
+            stress: PersonalityEngine.stress,
+            resources: { ...LifeResources.values }
+        };
+    },
+
+    // Summarize a long gap since a snapshot as quiet years, or null for a short one
+    summarizeYears(before) {
+        const years = this.currentAge - before.age;
+        if (years < this.quietYearsMin) return null;
+
+        const diff = (after, start) => {
+            const changes = {};
+            for (const key in after) {
+                const change = after[key] - start[key];
+                if (change !== 0) changes[key] = change;
+            }
+            return changes;
+        };
+
+        return {
+            startAge: before.age,
+            endAge: this.currentAge,
+            years,
+            oceanChanges: diff(PersonalityEngine.ocean, before.ocean),
+            stressBefore: before.stress,
+            stressAfter: PersonalityEngine.stress,
+            resourceChanges: diff(LifeResources.values, before.resources)
+        };
+    },
+
+    // Let years pass one at a time; returns world events that began along the way
+    passYears(years) {
+        const started = [];
+        for (let i = 0; i < years; i++) {
+            // Time stops for a life whose health has run out
+            if (LifeResources.isDepleted()) break;
+
+            this.currentAge++;
+            PersonalityEngine.passYear(this.currentAge, WorldEvents.getStressBaseline(this.currentAge));
+            LifeResources.passYear(this.currentAge, PersonalityEngine.stress >= PersonalityEngine.stressThresholds.high);
+            started.push(...WorldEvents.advance(this.currentAge));
+        }
         this.updateStage();
+        return started;
+    },
+
+    // Check whether high stress rules a choice out
+    isChoiceLocked(scenario, choice, stress = PersonalityEngine.stress) {
+        if (stress < PersonalityEngine.stressThresholds.high) return false;
+        if ((choice.stress_delta || 0) < this.lockedStressDelta) return false;
 
+        // Never lock every option: the least stressful ones stay open, ties included
+        const calmest = Math.min(...scenario.choices.map(option => option.stress_delta || 0));
+        return (choice.stress_delta || 0) > calmest;
+    },
+
+    // Pick which outcome variant of a choice happens, weighing personality, stress and chance
+    resolveOutcome(choice) {
+        if (!choice.outcomes || choice.outcomes.length === 0) {
+            return null;
+        }
+
+        const alignment = PersonalityEngine.calculateChoiceProbability(choice);
+        const scored = choice.outcomes.map(variant => ({
+            variant,
+            score: this.scoreOutcome(variant, alignment)
+        }));
+
+        const total = scored.reduce((sum, entry) => sum + entry.score, 0);
+        let roll = this.random() * total;
+        for (const entry of scored) {
+            roll -= entry.score;
+            if (roll < 0) return entry.variant;
+        }
+        return scored[scored.length - 1].variant;
+    },
+
+    // Relative likelihood of an outcome variant for the current person
+    scoreOutcome(variant, alignment) {
+        let fit = 0;
+
+        // favored_by keys are traits, resources, "stress", or "alignment" with the choice
+        for (const key in variant.favored_by) {
+            const weight = variant.favored_by[key];
+            if (key === 'stress') {
+                fit += weight * (PersonalityEngine.stress - 50) / 50;
+            } else if (key === 'alignment') {
+                fit += weight * (alignment - 50) / 40;
+            } else if (LifeResources.values.hasOwnProperty(key)) {
+                fit += weight * (LifeResources.values[key] - 50) / 50;
+            } else if (PersonalityEngine.ocean.hasOwnProperty(key)) {
+                fit += weight * (PersonalityEngine.ocean[key] - 50) / 50;
+            }
+        }
+
+        return (variant.weight ?? 1) * Math.max(0.1, 1 + fit);
+    },
+
+    // Effects of a choice plus whatever its outcome variant adds
+    combineEffects(choice, variant) {
+        if (!variant) {
+            return choice;
+        }
+
+        const ocean_weights = { ...choice.ocean_weights };
+        for (const trait in variant.ocean_weights) {
+            ocean_weights[trait] = (ocean_weights[trait] || 0) + variant.ocean_weights[trait];
+        }
+
+        const resources = { ...choice.resources };
+        for (const resource in variant.resources) {
+            resources[resource] = (resources[resource] || 0) + variant.resources[resource];
+        }
+
+        const characters = { ...choice.characters };
+        for (const role in variant.characters) {
+            const base = characters[role] || {};
+            const extra = variant.characters[role];
+            characters[role] = {
+                ...base,
+                ...extra,
+                closeness: (base.closeness || 0) + (extra.closeness || 0)
+            };
+        }
+
+        return {
+            ocean_weights,
+            stress_delta: (choice.stress_delta || 0) + (variant.stress_delta || 0),
+            trajectory_tags: [...(choice.trajectory_tags || []), ...(variant.trajectory_tags || [])],
+            resources,
+            characters,
+            ending: variant.ending || choice.ending
+        };
+    },
+
+    // Full state of both engines, leaving out the event history itself
+    takeSnapshot() {
+        const { eventHistory, ...events } = this.getState();
+        return JSON.parse(JSON.stringify({ personality: PersonalityEngine.getState(), events }));
+    },
+
+    // Rewind to the moment just before an event in the history
+    rewindTo(index) {
+        const event = this.eventHistory[index];
+        const kept = this.eventHistory.slice(0, index);
+
+        // Events carry a full snapshot; older saves rebuild what they can from the event's own fields
+        if (event.snapshot) {
+            const snapshot = JSON.parse(JSON.stringify(event.snapshot));
+            PersonalityEngine.restoreState(snapshot.personality);
+            this.restoreState({ ...snapshot.events, eventHistory: kept });
+            return event;
+        }
+
+        PersonalityEngine.restoreState({
+            ...PersonalityEngine.getState(),
+            ocean: event.oceanBefore,
+            stress: event.stressBefore,
+            highStressYears: event.highStressYearsBefore || 0,
+            trajectoryTags: event.trajectoryBefore || this.rebuildTrajectoryTags(kept)
+        });
+
+        this.currentAge = event.age;
+        this.currentStage = event.stage;
+        this.eventHistory = kept;
+        this.forcedScenario = null;
+        WorldEvents.rewindTo(event.age);
+        if (event.charactersBefore) {
+            CharacterRoster.restoreState(event.charactersBefore);
+        }
+        if (event.resourcesBefore) {
+            LifeResources.restoreState({ values: event.resourcesBefore });
+        }
+        this.refreshAvailableScenarios();
+
+        return event;
+    },
+
+    // Take back the most recent decision; returns the undone event, or null
+    undo() {
+        if (this.eventHistory.length === 0) return null;
+        return this.rewindTo(this.eventHistory.length - 1);
+    },
+
+    // Fork at an event: rewind and revisit its scenario without the choice made there
+    forkAt(index, excludedChoices = []) {
+        const event = this.rewindTo(index);
+        this.forcedScenario = {
+            scenarioId: event.scenarioId,
+            excludedChoices: [...new Set([event.choiceId, ...excludedChoices])]
+        };
         return event;
     },
 
+    // Recount trajectory tags from events (for saves made before they were snapshotted)
+    rebuildTrajectoryTags(events) {
+        const tags = {};
+        events.forEach(event => {
+            const scenario = this.scenarios.find(s => s.id === event.scenarioId);
+            const choice = scenario?.choices.find(c => c.id === event.choiceId);
+            (choice?.trajectory_tags || []).forEach(tag => {
+                tags[tag] = (tags[tag] || 0) + 1;
+            });
+        });
+        return tags;
+    },
+
     // Calculate how much time passes after an event
     calculateAgeAdvance(scenario, choice) {
-        // Base advance depends on life stage
+        // Years declared by the choice, or else the scenario: a number or a [min, max] range
+        const declared = choice.years ?? scenario.years;
+        if (declared !== undefined) {
+            const [min, max] = Array.isArray(declared) ? declared : [declared, declared];
+            return min + Math.floor(this.random() * (max - min + 1));
+        }
+
+        // Otherwise the base advance depends on life stage
         const baseAdvance = {
             early: 2,
             mid: 3,
@@ -168,7 +727,7 @@ const EventSystem = {
         }[this.currentStage] || 2;
 
         // Some variation based on choice
-        const variation = Math.floor(Math.random() * 2);
+        const variation = Math.floor(this.random() * 2);
 
         return baseAdvance + variation;
     },
@@ -178,13 +737,13 @@ const EventSystem = {
         if (!scenario.reflection_prompts || scenario.reflection_prompts.length === 0) {
             return null;
         }
-        const idx = Math.floor(Math.random() * scenario.reflection_prompts.length);
+        const idx = Math.floor(this.random() * scenario.reflection_prompts.length);
         return scenario.reflection_prompts[idx];
     },
 
-    // Calculate personality alignment for a choice (for hints)
-    getChoiceAlignment(choice) {
-        const probability = PersonalityEngine.calculateChoiceProbability(choice);
+    // Calculate personality alignment for a choice (for hints), for this profile or a previewed one
+    getChoiceAlignment(choice, ocean, stress) {
+        const probability = PersonalityEngine.calculateChoiceProbability(choice, ocean, stress);
 
         if (probability > 70) return 'strongly aligned';
         if (probability > 55) return 'somewhat aligned';
@@ -195,8 +754,16 @@ const EventSystem = {
 
     // Check if simulation should end
     shouldEndSimulation() {
-        // End if too old or no more scenarios
-        if (this.currentAge >= 75) return true;
+        // A pending fork always gets played
+        if (this.forcedScenario && this.getForcedScenario()) return false;
+
+        // End if an outcome ended the life, health has run out, too old or no more scenarios
+        if (this.getTriggeredEnding()) return true;
+        if (LifeResources.isDepleted()) return true;
+        if (this.currentAge >= this.endAge) return true;
+
+        // A follow-up that has come due still gets played
+        if (this.getDueFollowUp()) return false;
         this.refreshAvailableScenarios();
         if (this.availableScenarios.length === 0 && this.eventHistory.length >= 5) {
             return true;
@@ -204,6 +771,12 @@ const EventSystem = {
         return false;
     },
 
+    // Id of the ending an outcome triggered, or null
+    getTriggeredEnding() {
+        const event = this.eventHistory.find(e => e.ending);
+        return event ? event.ending : null;
+    },
+
     // Get timeline data for visualization
     getTimeline() {
         return this.eventHistory.map(event => ({
@@ -211,10 +784,28 @@ const EventSystem = {
             stage: event.stage,
             title: event.title,
             choice: event.choiceTitle,
-            outcome: event.outcome
+            outcome: event.outcome,
+            outcomeLabel: event.outcomeLabel,
+            reflectionPrompt: event.reflectionPrompt,
+            reflection: event.reflection || '',
+            resourceChanges: event.resourceChanges || {},
+            quietYears: event.quietYears || null
         }));
     },
 
+    // Keep the user's answer to an event's reflection prompt
+    setReflection(index, text) {
+        const event = this.eventHistory[index];
+        if (!event) return;
+
+        const answer = text.trim();
+        if (answer) {
+            event.reflection = answer;
+        } else {
+            delete event.reflection;
+        }
+    },
+
     // Get trajectory description
     getTrajectoryDescription(tag) {
         return this.trajectoryDescriptions?.[tag] || tag;
@@ -225,7 +816,13 @@ const EventSystem = {
         return {
             currentAge: this.currentAge,
             currentStage: this.currentStage,
-            eventHistory: [...this.eventHistory]
+            eventHistory: [...this.eventHistory],
+            forcedScenario: this.forcedScenario,
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            world: WorldEvents.getState(),
+            characters: CharacterRoster.getState(),
+            resources: LifeResources.getState()
         };
     },
 
@@ -234,6 +831,14 @@ const EventSystem = {
         this.currentAge = state.currentAge;
         this.currentStage = state.currentStage;
         this.eventHistory = [...state.eventHistory];
+        this.forcedScenario = state.forcedScenario || null;
+        this.pendingSnapshot = null;
+        // Older saves are filled in by SaveManager.migrate()
+        this.setSeed(state.seed);
+        this.rng.setState(state.rngState);
+        WorldEvents.restoreState(state.world);
+        CharacterRoster.restoreState(state.characters);
+        LifeResources.restoreState(state.resources);
         this.refreshAvailableScenarios();
     }
 };
@@ -0,0 +1,275 @@
+// Content Packs - Extra scenario files, listed in a manifest or imported from disk, merged over scenarios.json
+
+const ContentPacks = {
+    // Core scenarios.json content every run starts from
+    core: null,
+
+    // Packs that can be enabled: { id: { pack, source: 'manifest' | 'imported' } }
+    available: {},
+
+    // Packs merged into the running scenarios: [{ id, version }]
+    active: [],
+
+    manifestUrl: 'data/packs/manifest.json',
+
+    // localStorage keys for imported pack files and the packs enabled for new lives
+    importedKey: 'forks-packs',
+    enabledKey: 'forks-packs-enabled',
+
+    // Keyed sections merged from each pack; earlier entries win
+    mapKeys: ['global_modifiers', 'trajectory_descriptions', 'trajectory_affinity', 'context_traits'],
+
+    // Set the core content packs are merged over
+    setCore(data) {
+        this.core = data;
+        this.active = [];
+    },
+
+    // Collect an issue in DataValidator's shape
+    report(issues, level, path, message) {
+        issues.push({ level, path, message });
+    },
+
+    // Load the packs listed in the manifest and those imported earlier; returns issues by file
+    async load() {
+        const issuesByFile = {};
+
+        let files = [];
+        try {
+            const response = await fetch(this.manifestUrl);
+            if (response.ok) files = (await response.json()).packs || [];
+        } catch (error) {
+            issuesByFile['packs/manifest.json'] = [
+                { level: 'error', path: 'packs', message: `could not be loaded (${error.message})` }
+            ];
+        }
+
+        for (const file of files) {
+            try {
+                const response = await fetch(`data/packs/${file}`);
+                const pack = await response.json();
+                issuesByFile[`packs/${file}`] = this.add(pack, 'manifest');
+            } catch (error) {
+                issuesByFile[`packs/${file}`] = [{ level: 'error', path: 'pack', message: `could not be loaded (${error.message})` }];
+            }
+        }
+
+        const imported = this.getImported();
+        for (const id in imported) {
+            issuesByFile[`imported pack "${id}"`] = this.add(imported[id], 'imported');
+        }
+
+        return issuesByFile;
+    },
+
+    // Check a pack on its own, then what merging it does to the core content
+    validate(pack) {
+        const issues = DataValidator.validatePack(pack);
+        if (DataValidator.summarize(issues).errors.length > 0 || !this.core) return issues;
+
+        const { data, conflicts } = this.merge([pack]);
+        issues.push(...conflicts);
+        if (DataValidator.summarize(conflicts).errors.length > 0) return issues;
+
+        // Keep the issues found in the pack's own entries, with paths into the pack's lists
+        const offsets = { scenarios: this.core.scenarios.length, endings: (this.core.endings || []).length };
+        DataValidator.validateScenarios(data, EventSystem.stages).forEach(issue => {
+            const listed = issue.path.match(/^(scenarios|endings)\[(\d+)\](.*)$/);
+            if (listed) {
+                const index = Number(listed[2]) - offsets[listed[1]];
+                if (index >= 0) issues.push({ ...issue, path: `${listed[1]}[${index}]${listed[3]}` });
+                return;
+            }
+
+            const [key, entry] = issue.path.split('.');
+            if (this.mapKeys.includes(key) && pack[key] && pack[key][entry] !== undefined) issues.push(issue);
+        });
+        return issues;
+    },
+
+    // Validate a pack and offer it if it has no errors; returns its issues
+    add(pack, source) {
+        const issues = this.validate(pack);
+        if (DataValidator.summarize(issues).errors.length > 0) return issues;
+
+        if (this.available[pack.id]) {
+            this.report(issues, 'error', 'pack.id', `a pack "${pack.id}" is already installed`);
+            return issues;
+        }
+        this.available[pack.id] = { pack, source };
+        return issues;
+    },
+
+    // Import a pack file the player picked; kept in localStorage and enabled straight away
+    async importFile(file) {
+        let pack;
+        try {
+            pack = JSON.parse(await file.text());
+        } catch (error) {
+            return [{ level: 'error', path: 'pack', message: `could not be read (${error.message})` }];
+        }
+
+        const issues = this.add(pack, 'imported');
+        if (DataValidator.summarize(issues).errors.length > 0) return issues;
+
+        const imported = this.getImported();
+        imported[pack.id] = pack;
+        localStorage.setItem(this.importedKey, JSON.stringify(imported));
+        this.setEnabled(pack.id, true);
+        return issues;
+    },
+
+    // Forget an imported pack; manifest packs can only be disabled
+    remove(id) {
+        if (this.available[id]?.source !== 'imported') return;
+
+        delete this.available[id];
+        const imported = this.getImported();
+        delete imported[id];
+        localStorage.setItem(this.importedKey, JSON.stringify(imported));
+        this.setEnabled(id, false);
+    },
+
+    // Imported pack files by id
+    getImported() {
+        try {
+            return JSON.parse(localStorage.getItem(this.importedKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    // Ids of the installed packs new lives are played with
+    getEnabled() {
+        let enabled;
+        try {
+            enabled = JSON.parse(localStorage.getItem(this.enabledKey)) || [];
+        } catch (error) {
+            enabled = [];
+        }
+        return enabled.filter(id => this.available[id]);
+    },
+
+    // Turn a pack on or off for new lives
+    setEnabled(id, on) {
+        const enabled = this.getEnabled().filter(other => other !== id);
+        if (on) enabled.push(id);
+        localStorage.setItem(this.enabledKey, JSON.stringify(enabled));
+    },
+
+    // Installed packs for display
+    list() {
+        const enabled = new Set(this.getEnabled());
+        return Object.values(this.available).map(({ pack, source }) => ({
+            id: pack.id,
+            name: pack.name,
+            description: pack.description || '',
+            version: pack.version ?? 1,
+            source,
+            enabled: enabled.has(pack.id)
+        }));
+    },
+
+    // Merge packs over the core content; a pack that redefines an existing id is left out whole
+    merge(packs) {
+        const data = {
+            ...this.core,
+            scenarios: [...this.core.scenarios],
+            endings: [...(this.core.endings || [])]
+        };
+        this.mapKeys.forEach(key => {
+            data[key] = { ...(this.core[key] || {}) };
+        });
+
+        const conflicts = [];
+        const included = [];
+
+        packs.forEach(pack => {
+            const issues = [];
+            const scenarioIds = new Set(data.scenarios.map(scenario => scenario.id));
+            const endingIds = new Set(data.endings.map(ending => ending.id));
+
+            pack.scenarios.forEach((scenario, index) => {
+                if (scenarioIds.has(scenario.id)) {
+                    this.report(issues, 'error', `scenarios[${index}].id`, `scenario "${scenario.id}" is already defined`);
+                }
+            });
+            (pack.endings || []).forEach((ending, index) => {
+                if (endingIds.has(ending.id)) {
+                    this.report(issues, 'error', `endings[${index}].id`, `ending "${ending.id}" is already defined`);
+                }
+            });
+            for (const id in pack.global_modifiers) {
+                if (data.global_modifiers[id]) {
+                    this.report(issues, 'error', `global_modifiers.${id}`, `modifier "${id}" is already defined`);
+                }
+            }
+
+            // Shared tags are fine, but the first description and weighting of a tag stand
+            this.mapKeys.slice(1).forEach(key => {
+                for (const entry in pack[key]) {
+                    if (data[key][entry] !== undefined &&
+                        JSON.stringify(data[key][entry]) !== JSON.stringify(pack[key][entry])) {
+                        this.report(issues, 'warning', `${key}.${entry}`, 'already defined; the existing entry is kept');
+                    }
+                }
+            });
+
+            conflicts.push(...issues.map(issue => ({ ...issue, pack: pack.id })));
+            if (DataValidator.summarize(issues).errors.length > 0) return;
+
+            data.scenarios.push(...pack.scenarios);
+            data.endings.push(...(pack.endings || []));
+            this.mapKeys.forEach(key => {
+                for (const entry in pack[key]) {
+                    if (data[key][entry] === undefined) data[key][entry] = pack[key][entry];
+                }
+            });
+            included.push(pack);
+        });
+
+        return { data, conflicts, included };
+    },
+
+    // Installed packs among these ids, in order
+    getPacks(ids) {
+        return ids.filter(id => this.available[id]).map(id => this.available[id].pack);
+    },
+
+    // Clashes between packs that would be played together
+    findConflicts(ids) {
+        return this.merge(this.getPacks(ids)).conflicts;
+    },
+
+    // Run with the core content plus these packs; reports packs that aren't installed or conflict
+    apply(ids = []) {
+        const missing = ids.filter(id => !this.available[id]);
+        const { data, conflicts, included } = this.merge(this.getPacks(ids));
+
+        EventSystem.setScenarioData(data);
+        this.active = included.map(pack => ({ id: pack.id, version: pack.version ?? 1 }));
+        return { missing, conflicts };
+    },
+
+    // Packs a save was played with that aren't installed, or are installed at another version
+    checkSaved(saved = []) {
+        return {
+            missing: saved.filter(entry => !this.available[entry.id]).map(entry => entry.id),
+            updated: saved
+                .filter(entry => this.available[entry.id] && (this.available[entry.id].pack.version ?? 1) !== entry.version)
+                .map(entry => entry.id)
+        };
+    },
+
+    // Run with the packs a save was played with; also reports packs updated since
+    applySaved(saved = []) {
+        const result = this.apply(saved.map(entry => entry.id));
+        result.updated = this.checkSaved(saved).updated;
+        return result;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentPacks;
+}
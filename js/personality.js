@@ -15,12 +15,51 @@ const PersonalityEngine = {
         O: 30, C: 30, E: 30, A: 30, N: 30
     },
 
+    // Band width at which a trait counts as well measured
+    confidenceTarget: 20,
+
     // Stress level (affects decision-making)
     stress: 30,
 
+    // Consecutive years spent at or above the high stress threshold
+    highStressYears: 0,
+
+    // Stress thresholds: high locks out demanding choices, crisis opens crisis scenarios
+    stressThresholds: { high: 70, crisis: 85 },
+
+    // Yearly stress recovery below the high threshold, and the floor it recovers to
+    stressRecovery: 3,
+    stressFloor: 15,
+
     // Accumulated trajectory tags
     trajectoryTags: {},
 
+    // Band for scores taken from another test rather than measured here
+    importedBand: 10,
+
+    // Keyed 5-point Likert answers per trait in this assessment
+    likertAnswers: {},
+
+    // Raw-to-percentile norm tables per trait: [[mean keyed answer, percentile], ...] with ascending raw scores
+    norms: {},
+
+    // Forced-choice evidence per trait in this assessment: { score, count } on the 50-based weight scale
+    forcedScores: {},
+
+    // How much a Likert item narrows its trait's band; it measures one trait, so more than a forced choice
+    likertConfidenceStep: 4,
+
+    // Forced-choice answers a Likert answer counts as when the two are blended, in line with the steps above
+    likertWeight: 2,
+
+    // Gradual change with age alone: a point every few years, within an optional age band
+    maturation: [
+        { trait: 'N', delta: -1, every: 3, until: 70 },
+        { trait: 'C', delta: 1, every: 4, until: 60 },
+        { trait: 'A', delta: 1, every: 5 },
+        { trait: 'O', delta: -1, every: 5, from: 60 }
+    ],
+
     // Full trait names
     traitNames: {
         O: 'Openness',
@@ -35,7 +74,82 @@ const PersonalityEngine = {
         this.ocean = { O: 50, C: 50, E: 50, A: 50, N: 50 };
         this.confidence = { O: 30, C: 30, E: 30, A: 30, N: 30 };
         this.stress = 30;
+        this.highStressYears = 0;
         this.trajectoryTags = {};
+        this.likertAnswers = {};
+        this.forcedScores = {};
+    },
+
+    // Start from a known profile instead of the assessment; traits without a band get importedBand
+    setProfile(ocean, confidence = {}) {
+        this.reset();
+        for (const trait in this.ocean) {
+            this.ocean[trait] = Math.max(0, Math.min(100, Math.round(ocean[trait] ?? 50)));
+            this.confidence[trait] = confidence[trait] ?? this.importedBand;
+        }
+    },
+
+    // Set the norm tables Likert answers are scored against
+    setNorms(norms) {
+        this.norms = norms || {};
+    },
+
+    // Percentile for a trait's mean keyed answer, interpolated along its norm table
+    getPercentile(trait, raw) {
+        const table = this.norms[trait];
+        if (raw <= table[0][0]) return table[0][1];
+
+        for (let i = 1; i < table.length; i++) {
+            const [x1, y1] = table[i];
+            if (raw <= x1) {
+                const [x0, y0] = table[i - 1];
+                return y0 + (y1 - y0) * (raw - x0) / (x1 - x0);
+            }
+        }
+        return table[table.length - 1][1];
+    },
+
+    // Apply a Likert answer (1-5); reverse-keyed items are flipped
+    applyLikert(trait, answer, keyed = '+') {
+        const answers = this.likertAnswers[trait] || [];
+        answers.push(keyed === '-' ? 6 - answer : answer);
+        this.likertAnswers[trait] = answers;
+
+        this.confidence[trait] = Math.max(5, this.confidence[trait] - this.likertConfidenceStep);
+        this.scoreTrait(trait);
+    },
+
+    // Apply a forced-choice answer's weights as assessment evidence
+    applyForcedChoice(weights) {
+        for (const trait in weights) {
+            if (!this.ocean.hasOwnProperty(trait)) continue;
+
+            const evidence = this.forcedScores[trait] || { score: 50, count: 0 };
+            evidence.score = Math.max(0, Math.min(100, evidence.score + weights[trait]));
+            evidence.count++;
+            this.forcedScores[trait] = evidence;
+
+            this.confidence[trait] = Math.max(5, this.confidence[trait] - 2);
+            this.scoreTrait(trait);
+        }
+    },
+
+    // Score a trait from this assessment: the percentile of its mean keyed Likert answer and its
+    // forced-choice score, blended by how many answers back each
+    scoreTrait(trait) {
+        const forced = this.forcedScores[trait];
+        const answers = this.likertAnswers[trait] || [];
+        if (answers.length === 0) {
+            if (forced) this.ocean[trait] = forced.score;
+            return;
+        }
+
+        const mean = answers.reduce((sum, value) => sum + value, 0) / answers.length;
+        const percentile = this.getPercentile(trait, mean);
+        const likertWeight = answers.length * this.likertWeight;
+        const forcedWeight = forced ? forced.count : 0;
+        const forcedScore = forced ? forced.score : 0;
+        this.ocean[trait] = Math.round((percentile * likertWeight + forcedScore * forcedWeight) / (likertWeight + forcedWeight));
     },
 
     // Apply weights from an assessment question
@@ -54,6 +168,45 @@ const PersonalityEngine = {
         this.stress = Math.max(0, Math.min(100, this.stress + delta));
     },
 
+    // Shift a trait without treating it as new evidence (confidence unchanged)
+    driftTrait(trait, delta) {
+        this.ocean[trait] = Math.max(0, Math.min(100, this.ocean[trait] + delta));
+    },
+
+    // Let a year pass: traits mature, stress recovers below the high threshold and wears on N above it;
+    // baseline is extra stress hard times (world events) hold a person at
+    passYear(age, baseline = 0) {
+        this.maturation.forEach(rule => {
+            if (age % rule.every !== 0) return;
+            if (age < (rule.from ?? 0) || age > (rule.until ?? Infinity)) return;
+            this.driftTrait(rule.trait, rule.delta);
+        });
+
+        if (this.stress >= this.stressThresholds.high) {
+            this.highStressYears++;
+            // Sustained stress, not a single bad year, changes temperament
+            if (this.highStressYears >= 2) {
+                this.driftTrait('N', 2);
+            }
+        } else {
+            this.highStressYears = 0;
+            const floor = this.stressFloor + baseline;
+            if (this.stress > floor) {
+                this.stress = Math.max(floor, this.stress - this.stressRecovery);
+            } else if (baseline > 0) {
+                this.stress = floor;
+            }
+        }
+    },
+
+    // Get stress level description
+    getStressLevel() {
+        if (this.stress >= this.stressThresholds.crisis) return 'Crisis';
+        if (this.stress >= this.stressThresholds.high) return 'High';
+        if (this.stress >= 40) return 'Moderate';
+        return 'Low';
+    },
+
     // Add trajectory tags
     addTrajectoryTags(tags) {
         tags.forEach(tag => {
@@ -69,18 +222,55 @@ const PersonalityEngine = {
             .map(([tag]) => tag);
     },
 
-    // Derive MBTI type from OCEAN
-    deriveMBTI() {
-        const E_I = this.ocean.E >= 50 ? 'E' : 'I';
-        const S_N = this.ocean.O >= 50 ? 'N' : 'S';
-        const T_F = this.ocean.A >= 50 ? 'F' : 'T';
-        const J_P = this.ocean.C >= 50 ? 'J' : 'P';
+    // Check whether a trait's band straddles the midpoint, so either pole is plausible
+    isAmbiguous(trait, ocean = this.ocean, confidence = this.confidence) {
+        return Math.abs(ocean[trait] - 50) < confidence[trait];
+    },
+
+    // Traits whose band is still wider than the target, widest first
+    getUncertainTraits() {
+        return Object.keys(this.confidence)
+            .filter(trait => this.confidence[trait] > this.confidenceTarget)
+            .sort((a, b) => this.confidence[b] - this.confidence[a]);
+    },
+
+    // Derive MBTI type from OCEAN (current scores unless given)
+    deriveMBTI(ocean = this.ocean) {
+        const E_I = ocean.E >= 50 ? 'E' : 'I';
+        const S_N = ocean.O >= 50 ? 'N' : 'S';
+        const T_F = ocean.A >= 50 ? 'F' : 'T';
+        const J_P = ocean.C >= 50 ? 'J' : 'P';
         return E_I + S_N + T_F + J_P;
     },
 
+    // Derive every MBTI type the confidence bands allow, e.g. INTJ and INTP
+    deriveMBTIRange(ocean = this.ocean, confidence = this.confidence) {
+        const type = this.deriveMBTI(ocean);
+        const letters = [['E', 'I', 'E'], ['N', 'S', 'O'], ['F', 'T', 'A'], ['J', 'P', 'C']];
+
+        let alternatives = [''];
+        const ambiguous = [];
+        letters.forEach(([high, low, trait], index) => {
+            const letter = type[index];
+            const options = this.isAmbiguous(trait, ocean, confidence)
+                ? [letter, letter === high ? low : high]
+                : [letter];
+            if (options.length > 1) ambiguous.push(index);
+            alternatives = alternatives.flatMap(prefix => options.map(option => prefix + option));
+        });
+
+        // Two candidates read as "INTJ/INTP"; more use X for each open letter
+        let label = alternatives.join('/');
+        if (alternatives.length > 2) {
+            label = type.split('').map((letter, index) => ambiguous.includes(index) ? 'X' : letter).join('');
+        }
+
+        return { type, alternatives, ambiguous: alternatives.length > 1, label };
+    },
+
     // Get MBTI description
-    getMBTIDescription() {
-        const type = this.deriveMBTI();
+    getMBTIDescription(ocean = this.ocean, confidence = this.confidence) {
+        const type = this.deriveMBTI(ocean);
         const descriptions = {
             'INTJ': 'The Architect - Strategic and independent',
             'INTP': 'The Logician - Analytical and inventive',
@@ -99,15 +289,22 @@ const PersonalityEngine = {
             'ESTP': 'The Entrepreneur - Smart and perceptive',
             'ESFP': 'The Entertainer - Spontaneous and energetic'
         };
-        return { type, description: descriptions[type] || 'Unique blend' };
+        const range = this.deriveMBTIRange(ocean, confidence);
+        return {
+            type,
+            description: descriptions[type] || 'Unique blend',
+            label: range.label,
+            ambiguous: range.ambiguous,
+            alternatives: range.alternatives
+        };
     },
 
-    // Derive Enneagram type from OCEAN patterns
-    deriveEnneagram() {
-        const { O, C, E, A, N } = this.ocean;
+    // Score each Enneagram type for an OCEAN profile
+    getEnneagramScores(ocean = this.ocean) {
+        const { O, C, E, A, N } = ocean;
 
         // Simplified mapping based on dominant patterns
-        const scores = {
+        return {
             1: C * 1.5 + (100 - A) * 0.5 - O * 0.3,           // Perfectionist
             2: A * 1.5 + E * 0.5 + N * 0.3,                    // Helper
             3: C * 1.0 + E * 1.0 + (100 - A) * 0.5,           // Achiever
@@ -118,9 +315,19 @@ const PersonalityEngine = {
             8: E * 1.0 + (100 - A) * 1.0 + (100 - N) * 0.5,   // Challenger
             9: A * 1.0 + (100 - N) * 1.0 + (100 - C) * 0.3    // Peacemaker
         };
+    },
 
-        const type = Object.entries(scores)
-            .sort((a, b) => b[1] - a[1])[0][0];
+    // Derive Enneagram type from OCEAN patterns (current scores unless given)
+    deriveEnneagram(ocean = this.ocean, confidence = this.confidence) {
+        const ranked = Object.entries(this.getEnneagramScores(ocean))
+            .sort((a, b) => b[1] - a[1]);
+        const type = ranked[0][0];
+
+        // Runners-up within the average band of the top score are just as plausible
+        const margin = Object.values(confidence).reduce((sum, band) => sum + band, 0) / 5;
+        const alternatives = ranked.slice(1, 3)
+            .filter(([_, score]) => ranked[0][1] - score < margin)
+            .map(([other]) => parseInt(other));
 
         const descriptions = {
             1: 'Type 1: The Perfectionist - Principled, purposeful, self-controlled',
@@ -134,18 +341,24 @@ const PersonalityEngine = {
             9: 'Type 9: The Peacemaker - Receptive, reassuring, complacent'
         };
 
-        return { type: parseInt(type), description: descriptions[type] };
+        return {
+            type: parseInt(type),
+            description: descriptions[type],
+            alternatives,
+            ambiguous: alternatives.length > 0,
+            label: alternatives.length > 0 ? `Type ${type} (or ${alternatives.join(', ')})` : `Type ${type}`
+        };
     },
 
-    // Calculate choice probability based on personality
-    calculateChoiceProbability(choice) {
+    // Calculate choice probability based on personality (this profile unless another is given)
+    calculateChoiceProbability(choice, ocean = this.ocean, stress = this.stress) {
         if (!choice.ocean_weights) return 0.5;
 
         let alignment = 50;
         for (const trait in choice.ocean_weights) {
-            if (this.ocean.hasOwnProperty(trait)) {
+            if (ocean.hasOwnProperty(trait)) {
                 const weight = choice.ocean_weights[trait];
-                const traitValue = this.ocean[trait];
+                const traitValue = ocean[trait];
 
                 // Positive weight = choice favored by high trait
                 // Negative weight = choice favored by low trait
@@ -159,9 +372,9 @@ const PersonalityEngine = {
 
         // Stress affects choices - high stress may push toward safer options
         if (choice.stress_delta < 0) {
-            alignment += this.stress * 0.2;
+            alignment += stress * 0.2;
         } else if (choice.stress_delta > 10) {
-            alignment -= this.stress * 0.15;
+            alignment -= stress * 0.15;
         }
 
         return Math.max(10, Math.min(90, alignment));
@@ -206,6 +419,7 @@ const PersonalityEngine = {
             ocean: { ...this.ocean },
             confidence: { ...this.confidence },
             stress: this.stress,
+            highStressYears: this.highStressYears,
             trajectoryTags: { ...this.trajectoryTags }
         };
     },
@@ -215,6 +429,7 @@ const PersonalityEngine = {
         this.ocean = { ...state.ocean };
         this.confidence = { ...state.confidence };
         this.stress = state.stress;
+        this.highStressYears = state.highStressYears || 0;
         this.trajectoryTags = { ...state.trajectoryTags };
     }
 };
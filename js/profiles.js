@@ -0,0 +1,112 @@
+// Profile Import - Read a known Big Five profile from test results, an MBTI type or a profile code
+
+const ProfileImport = {
+    // Trait names a results page may use; Emotional Stability is Neuroticism reversed
+    traitAliases: [
+        { pattern: 'openness(?: to experience)?|intellect|imagination', trait: 'O' },
+        { pattern: 'conscientiousness', trait: 'C' },
+        { pattern: 'extraversion|extroversion', trait: 'E' },
+        { pattern: 'agreeableness', trait: 'A' },
+        { pattern: 'neuroticism', trait: 'N' },
+        { pattern: 'emotional stability', trait: 'N', reversed: true }
+    ],
+
+    // Bands by source: scored results are trusted most, a type only fixes which side of 50 a trait is on
+    bands: { results: 10, sliders: 15, type: 20 },
+
+    // Scores an MBTI letter stands for, on its side of 50
+    typeScores: { high: 70, low: 30 },
+
+    // Start a profile from slider values
+    fromSliders(ocean) {
+        return { ocean: { ...ocean }, confidence: this.fill(this.bands.sliders) };
+    },
+
+    // Read pasted results: percentiles by trait name (IPIP-style reports), or else an MBTI type
+    fromText(text) {
+        const ocean = {};
+        this.traitAliases.forEach(({ pattern, trait, reversed }) => {
+            // The first score for a trait wins, so facet lines after a domain line don't replace it
+            const match = String(text).match(new RegExp(`\\b(?:${pattern})\\b[^0-9\\n]*?(\\d{1,3}(?:\\.\\d+)?)`, 'i'));
+            if (!match || ocean[trait] !== undefined) return;
+            const score = Number(match[1]);
+            ocean[trait] = reversed ? 100 - score : score;
+        });
+
+        const found = Object.keys(ocean);
+        if (found.length === 0) return this.fromType(text);
+
+        const outOfRange = found.filter(trait => ocean[trait] < 0 || ocean[trait] > 100);
+        if (outOfRange.length > 0) {
+            return { error: `Scores must be percentiles from 0 to 100 (check ${this.names(outOfRange)})` };
+        }
+        const missing = Object.keys(PersonalityEngine.traitNames).filter(trait => ocean[trait] === undefined);
+        if (missing.length > 0) {
+            return { error: `No score found for ${this.names(missing)}` };
+        }
+        return { ocean, confidence: this.fill(this.bands.results) };
+    },
+
+    // Approximate a profile from an MBTI type such as INTJ or ENFP-T; Neuroticism stays unknown
+    fromType(text) {
+        const match = String(text).match(/\b([EI])([NS])([FT])([JP])(?:-[AT])?\b/i);
+        if (!match) {
+            return { error: 'No trait scores or MBTI type found in the pasted text' };
+        }
+
+        const [, energy, perceiving, judging, lifestyle] = match.map(letter => letter.toUpperCase());
+        const { high, low } = this.typeScores;
+        const band = this.bands.type;
+        return {
+            ocean: {
+                O: perceiving === 'N' ? high : low,
+                C: lifestyle === 'J' ? high : low,
+                E: energy === 'E' ? high : low,
+                A: judging === 'F' ? high : low,
+                N: 50
+            },
+            confidence: { O: band, C: band, E: band, A: band, N: 30 }
+        };
+    },
+
+    // Format a profile as a shareable code, e.g. O72-C45-E30-A60-N55
+    toCode(ocean) {
+        return Object.keys(PersonalityEngine.traitNames)
+            .map(trait => `${trait}${Math.round(ocean[trait])}`)
+            .join('-');
+    },
+
+    // Parse a profile code in any trait order and with any separators
+    fromCode(code) {
+        const compact = String(code).toUpperCase().replace(/[\s\-_,.:;/|]+/g, '');
+        const tokens = compact.match(/[OCEAN]\d{1,3}/g) || [];
+        const ocean = {};
+        tokens.forEach(token => {
+            ocean[token[0]] = Number(token.slice(1));
+        });
+
+        const complete = Object.keys(PersonalityEngine.traitNames).every(trait => ocean[trait] !== undefined);
+        if (tokens.join('') !== compact || tokens.length !== 5 || !complete) {
+            return { error: 'Profile codes look like O72-C45-E30-A60-N55' };
+        }
+        if (Object.values(ocean).some(score => score > 100)) {
+            return { error: 'Profile code scores must be from 0 to 100' };
+        }
+        return { ocean, confidence: this.fill(this.bands.results) };
+    },
+
+    // The same band for every trait
+    fill(band) {
+        return { O: band, C: band, E: band, A: band, N: band };
+    },
+
+    // Trait names for a message
+    names(traits) {
+        return traits.map(trait => PersonalityEngine.traitNames[trait]).join(', ');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileImport;
+}
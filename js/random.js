@@ -0,0 +1,62 @@
+// Seeded Random - Reproducible random numbers for simulation runs
+
+const SeededRandom = {
+    // Create a generator from a 32-bit seed (mulberry32)
+    create(seed) {
+        let state = seed >>> 0;
+
+        return {
+            seed: seed >>> 0,
+
+            // Next float in [0, 1)
+            next() {
+                state = (state + 0x6D2B79F5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            },
+
+            // Internal state, so a saved run can continue the same sequence
+            getState() {
+                return state;
+            },
+
+            setState(saved) {
+                state = saved >>> 0;
+            }
+        };
+    },
+
+    // Pick a fresh seed for a new run
+    generateSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    },
+
+    // Format a seed as a short shareable code
+    toCode(seed) {
+        return (seed >>> 0).toString(36).toUpperCase();
+    },
+
+    // Parse a code back to a seed; any other text is hashed so every code plays
+    fromCode(code) {
+        const text = String(code).trim();
+        if (/^[0-9a-z]{1,7}$/i.test(text)) {
+            const seed = parseInt(text, 36);
+            if (seed < 4294967296) return seed;
+        }
+
+        // FNV-1a hash
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
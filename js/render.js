@@ -0,0 +1,68 @@
+// Safe HTML - Templates that escape every interpolated value unless it is explicitly trusted
+
+const SafeHtml = {
+    // Fragments built by html``, trusted() or rich(); content files can't forge membership
+    fragments: new WeakSet(),
+
+    // Escape text for inclusion in HTML
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // Wrap finished markup as a fragment
+    fragment(markup) {
+        const fragment = { markup, toString: () => markup };
+        this.fragments.add(fragment);
+        return fragment;
+    },
+
+    // Markup for any value: fragments pass through, arrays are joined, nothing renders as empty, the rest is escaped
+    toHtml(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(item => this.toHtml(item)).join('');
+        if (this.fragments.has(value)) return value.markup;
+        return this.escape(value);
+    },
+
+    // Tagged template: SafeHtml.html`<p>${text}</p>` escapes text
+    html(strings, ...values) {
+        const markup = strings.reduce((out, string, index) =>
+            out + this.toHtml(values[index - 1]) + string);
+        return this.fragment(markup);
+    },
+
+    // Join values with an escaped separator
+    join(values, separator) {
+        return this.fragment(values.map(value => this.toHtml(value)).join(this.escape(separator)));
+    },
+
+    // Opt in to inserting markup as is; only for markup the app writes itself, never for content files
+    trusted(markup) {
+        return this.fragment(String(markup));
+    },
+
+    // Authored prose with emphasis: **strong** and *em*, everything else escaped
+    rich(text) {
+        if (text === null || text === undefined) return this.fragment('');
+
+        const markup = this.escape(text)
+            .replace(/\*\*(\S(?:[^*]*\S)?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(\S(?:[^*]*\S)?)\*/g, '<em>$1</em>');
+        return this.fragment(markup);
+    },
+
+    // Render into an element; a plain string shows as text
+    render(element, content) {
+        element.innerHTML = this.toHtml(content);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeHtml;
+}
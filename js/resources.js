@@ -0,0 +1,97 @@
+// Life Resources - Material state of a life: wealth, health, social support and career standing
+
+const LifeResources = {
+    // Current values (0-100)
+    values: {
+        wealth: 30,
+        health: 85,
+        social: 50,
+        career: 10
+    },
+
+    // Values a new life starts with
+    initial: {
+        wealth: 30,
+        health: 85,
+        social: 50,
+        career: 10
+    },
+
+    // Display names
+    names: {
+        wealth: 'Wealth',
+        health: 'Health',
+        social: 'Social Support',
+        career: 'Career Standing'
+    },
+
+    // Health at or below this ends the life
+    fatalHealth: 0,
+
+    // Wealth drift built up over the years but not yet a whole point
+    wealthDrift: 0,
+
+    // Reset for a new life
+    reset() {
+        this.values = { ...this.initial };
+        this.wealthDrift = 0;
+    },
+
+    // Apply resource deltas from a choice
+    apply(deltas) {
+        for (const resource in deltas) {
+            if (!this.values.hasOwnProperty(resource)) continue;
+            this.values[resource] = this.clamp(this.values[resource] + deltas[resource]);
+        }
+    },
+
+    clamp(value) {
+        return Math.max(0, Math.min(100, Math.round(value)));
+    },
+
+    // One year of drift: age and sustained stress wear on health, career standing builds or drains wealth
+    passYear(age, highStress) {
+        let healthLoss = 0;
+        if (age >= 40) healthLoss += 1;
+        if (age >= 60) healthLoss += 1;
+        if (highStress) healthLoss += 2;
+
+        // Carry the fraction over rather than rounding each year, which would only ever round up
+        this.wealthDrift += (this.values.career - 40) / 20;
+        const wealth = Math.trunc(this.wealthDrift);
+        this.wealthDrift -= wealth;
+
+        this.apply({ health: -healthLoss, wealth });
+    },
+
+    // Check whether health has run out
+    isDepleted() {
+        return this.values.health <= this.fatalHealth;
+    },
+
+    // Word for a resource level
+    getLevel(resource) {
+        const value = this.values[resource];
+        if (value < 20) return 'Very Low';
+        if (value < 40) return 'Low';
+        if (value < 60) return 'Moderate';
+        if (value < 80) return 'High';
+        return 'Very High';
+    },
+
+    // Get state for saving
+    getState() {
+        return { values: { ...this.values }, wealthDrift: this.wealthDrift };
+    },
+
+    // Restore from saved state
+    restoreState(state) {
+        this.values = { ...this.initial, ...state.values };
+        this.wealthDrift = state.wealthDrift || 0;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LifeResources;
+}
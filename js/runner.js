@@ -0,0 +1,159 @@
+// Life Runner - Headless play-throughs driven by policies, for testing content at scale
+
+const LifeRunner = {
+    // How a simulated person answers questions and picks choices
+    policies: {
+        // Uniformly random
+        random: {
+            answer(question, random) {
+                const options = QuestionSelector.getOptions(question);
+                return options[Math.floor(random() * options.length)];
+            },
+            choose(scenario, choices, random) {
+                return choices[Math.floor(random() * choices.length)];
+            }
+        },
+
+        // Always take the choice most aligned with the current personality
+        aligned: {
+            answer(question, random) {
+                return LifeRunner.policies.random.answer(question, random);
+            },
+            choose(scenario, choices) {
+                return choices.reduce((best, choice) =>
+                    PersonalityEngine.calculateChoiceProbability(choice) >
+                    PersonalityEngine.calculateChoiceProbability(best) ? choice : best
+                );
+            }
+        },
+
+        // Follow a script ({ answers: { questionId: index }, choices: { scenarioId: choiceId } }), random otherwise
+        scripted(script) {
+            return {
+                answer(question, random) {
+                    const index = script.answers?.[question.id];
+                    return index !== undefined
+                        ? QuestionSelector.getOptions(question)[index]
+                        : LifeRunner.policies.random.answer(question, random);
+                },
+                choose(scenario, choices, random) {
+                    const scripted = choices.find(choice => choice.id === script.choices?.[scenario.id]);
+                    return scripted || LifeRunner.policies.random.choose(scenario, choices, random);
+                }
+            };
+        }
+    },
+
+    // Most events one life may contain (guards against runaway content)
+    maxEvents: 100,
+
+    // Play one life from assessment to end; returns its summary
+    runLife({ questions, policy, seed }) {
+        // Policy decisions get their own stream so they don't disturb the simulation's
+        const policyRng = SeededRandom.create(seed ^ 0x9E3779B9);
+        const random = () => policyRng.next();
+
+        // Assessment
+        PersonalityEngine.reset();
+        QuestionSelector.reset(questions);
+        let question = QuestionSelector.next();
+        while (question) {
+            QuestionSelector.answer(question, policy.answer(question, random));
+            question = QuestionSelector.next();
+        }
+
+        // Simulation
+        EventSystem.reset(seed);
+        while (EventSystem.eventHistory.length < this.maxEvents && !EventSystem.shouldEndSimulation()) {
+            const scenario = EventSystem.selectNextScenario();
+            if (!scenario) break;
+
+            const open = scenario.choices.filter(choice => !EventSystem.isChoiceLocked(scenario, choice));
+            EventSystem.processChoice(scenario, policy.choose(scenario, open, random));
+        }
+
+        return {
+            seed,
+            finalAge: EventSystem.currentAge,
+            events: EventSystem.eventHistory.map(event => ({
+                scenarioId: event.scenarioId,
+                choiceId: event.choiceId,
+                outcomeId: event.outcomeId,
+                age: event.age
+            })),
+            mbti: PersonalityEngine.deriveMBTI(),
+            enneagram: PersonalityEngine.deriveEnneagram().type,
+            stress: PersonalityEngine.stress,
+            resources: { ...LifeResources.values },
+            healthFailed: LifeResources.isDepleted(),
+            ending: LifeEndings.resolve()?.id || null
+        };
+    },
+
+    // Run many lives and aggregate a report
+    runMany({ lives, questions, policy, seed = 1 }) {
+        const results = [];
+        for (let i = 0; i < lives; i++) {
+            results.push(this.runLife({ questions, policy, seed: (seed + i) >>> 0 }));
+        }
+        return this.buildReport(results);
+    },
+
+    // Aggregate life summaries into coverage and distribution statistics
+    buildReport(results) {
+        const lives = results.length;
+        const count = (values) => values.reduce((counts, value) => {
+            counts[value] = (counts[value] || 0) + 1;
+            return counts;
+        }, {});
+
+        // Scenario and choice coverage
+        const scenarios = {};
+        EventSystem.scenarios.forEach(scenario => {
+            scenarios[scenario.id] = { lives: 0, choices: {} };
+            scenario.choices.forEach(choice => {
+                scenarios[scenario.id].choices[choice.id] = 0;
+            });
+        });
+        results.forEach(result => {
+            new Set(result.events.map(event => event.scenarioId)).forEach(id => {
+                scenarios[id].lives++;
+            });
+            result.events.forEach(event => {
+                scenarios[event.scenarioId].choices[event.choiceId]++;
+            });
+        });
+
+        const coverage = Object.entries(scenarios).map(([id, entry]) => ({
+            id,
+            firedIn: entry.lives / lives,
+            neverReached: 1 - entry.lives / lives,
+            choices: entry.choices
+        }));
+
+        const eventCounts = results.map(result => result.events.length);
+        const ages = results.map(result => result.finalAge);
+
+        return {
+            lives,
+            averageEvents: eventCounts.reduce((sum, n) => sum + n, 0) / lives,
+            lifeLengths: {
+                min: Math.min(...ages),
+                max: Math.max(...ages),
+                average: ages.reduce((sum, age) => sum + age, 0) / lives,
+                distribution: count(ages)
+            },
+            healthFailures: results.filter(result => result.healthFailed).length / lives,
+            endings: count(results.map(result => result.ending)),
+            mbti: count(results.map(result => result.mbti)),
+            enneagram: count(results.map(result => result.enneagram)),
+            coverage,
+            unreached: coverage.filter(entry => entry.firedIn === 0).map(entry => entry.id)
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LifeRunner;
+}
@@ -0,0 +1,194 @@
+// Save Manager - Versioned save slots in localStorage
+
+const SaveManager = {
+    // Bump when the saved shape changes, and teach migrate() the old one
+    version: 3,
+    prefix: 'forks-save:',
+    legacyKey: 'forks-save',
+
+    // List saved slots, most recent first
+    listSlots() {
+        const slots = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(this.prefix)) continue;
+
+            const save = this.read(key.slice(this.prefix.length));
+            if (!save) continue;
+
+            slots.push({
+                id: save.id,
+                name: save.name,
+                savedAt: save.savedAt,
+                age: save.events.currentAge,
+                eventCount: save.events.eventHistory.length,
+                branchCount: save.branches ? save.branches.branches.length : 1,
+                packs: (save.packs || []).map(pack => pack.id)
+            });
+        }
+
+        return slots.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+    },
+
+    // Check whether any slot exists
+    hasSaves() {
+        return this.listSlots().length > 0;
+    },
+
+    // Create a fresh slot id
+    createSlotId() {
+        return Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+    },
+
+    // Write state to a slot; null when storage refuses it (usually a full quota)
+    save(slotId, name, state) {
+        const save = {
+            version: this.version,
+            id: slotId,
+            name,
+            savedAt: Date.now(),
+            ...state
+        };
+        try {
+            localStorage.setItem(this.prefix + slotId, JSON.stringify(save));
+        } catch (error) {
+            console.error(`Failed to write save "${slotId}":`, error);
+            return null;
+        }
+        return save;
+    },
+
+    // Read, migrate and reconcile a slot; null if missing or unreadable
+    read(slotId) {
+        const raw = localStorage.getItem(this.prefix + slotId);
+        if (!raw) return null;
+
+        try {
+            const save = this.migrate(JSON.parse(raw), slotId);
+            return save ? this.reconcile(save) : null;
+        } catch (error) {
+            console.error(`Failed to read save "${slotId}":`, error);
+            return null;
+        }
+    },
+
+    // Content packs a slot was played with, read before the slot itself so its scenarios can be loaded
+    readPacks(slotId) {
+        try {
+            return JSON.parse(localStorage.getItem(this.prefix + slotId)).packs || [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    // Delete a slot
+    remove(slotId) {
+        localStorage.removeItem(this.prefix + slotId);
+    },
+
+    // Upgrade older save shapes to the current version
+    migrate(save, slotId) {
+        // Unversioned saves from the single-slot era
+        if (save.version === undefined) {
+            save = {
+                version: 1,
+                id: slotId,
+                name: 'Autosave',
+                savedAt: null,
+                personality: save.personality,
+                events: save.events
+            };
+        }
+
+        // Version 1 had no alternate branches; the tree is rebuilt on load
+        if (save.version === 1) {
+            save = { ...save, version: 2, branches: null };
+        }
+
+        // Version 2 saves may predate seeds, the cast, resources, undo snapshots and content packs
+        if (save.version === 2) {
+            save = {
+                ...save,
+                version: 3,
+                events: this.migrateEvents(save.events),
+                branches: save.branches && {
+                    ...save.branches,
+                    branches: save.branches.branches.map(branch => ({
+                        ...branch,
+                        state: { ...branch.state, events: this.migrateEvents(branch.state.events) }
+                    }))
+                },
+                packs: save.packs || []
+            };
+        }
+
+        if (save.version > this.version) {
+            console.warn(`Save "${slotId}" was written by a newer version (${save.version})`);
+            return null;
+        }
+
+        return save;
+    },
+
+    // Fill in the event-system fields a version 2 save may lack
+    migrateEvents(events) {
+        const seed = events.seed ?? SeededRandom.generateSeed();
+        const resources = events.resources || { values: { ...LifeResources.initial } };
+        return {
+            ...events,
+            seed,
+            // A fresh generator's state is its seed
+            rngState: events.rngState ?? seed,
+            world: events.world || { currentAge: events.currentAge, history: [] },
+            characters: events.characters || CharacterRoster.getOpeningState(events.currentAge),
+            resources: { ...resources, wealthDrift: resources.wealthDrift || 0 },
+            // Events without a snapshot rewind from their own before-fields
+            eventHistory: events.eventHistory.map(event => ({ ...event, snapshot: event.snapshot || null }))
+        };
+    },
+
+    // Bring a save in line with the currently loaded scenarios
+    reconcile(save) {
+        this.reconcileEvents(save.events);
+        if (save.branches) {
+            save.branches.branches.forEach(branch => this.reconcileEvents(branch.state.events));
+        }
+        return save;
+    },
+
+    // Reconcile one event-system state with the loaded scenarios
+    reconcileEvents(events) {
+        const knownIds = new Set(EventSystem.scenarios.map(scenario => scenario.id));
+
+        events.eventHistory = events.eventHistory.map(event => ({
+            ...event,
+            oceanChanges: event.oceanChanges || {},
+            // Keep events whose scenario has since been removed; the stored text still renders
+            retired: !knownIds.has(event.scenarioId)
+        }));
+
+        if (events.forcedScenario && !knownIds.has(events.forcedScenario.scenarioId)) {
+            events.forcedScenario = null;
+        }
+
+        if (!EventSystem.stages[events.currentStage]) {
+            events.currentStage = 'early';
+        }
+    },
+
+    // Move the old single-slot save into a named slot
+    migrateLegacy() {
+        const raw = localStorage.getItem(this.legacyKey);
+        if (!raw) return;
+
+        const slotId = this.createSlotId();
+        localStorage.setItem(this.prefix + slotId, raw);
+        localStorage.removeItem(this.legacyKey);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveManager;
+}
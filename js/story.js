@@ -0,0 +1,391 @@
+// Life Story - Turn a finished life into prose, and export it as Markdown, JSON or a printable page
+
+const LifeStory = {
+    // How a rising (first) or falling (second) trait reads in prose
+    traitShiftWords: {
+        O: ['more open to new experiences', 'more settled in the familiar'],
+        C: ['more disciplined', 'looser with structure'],
+        E: ['more outgoing', 'more inward'],
+        A: ['warmer toward others', 'more guarded'],
+        N: ['more anxious', 'calmer']
+    },
+
+    // Build the structured story of the current life
+    build(name = '') {
+        const history = EventSystem.eventHistory;
+        const events = history.map((event, index) => this.buildEvent(event, history[index + 1]));
+        const mbti = PersonalityEngine.getMBTIDescription();
+        const enneagram = PersonalityEngine.deriveEnneagram();
+        const ending = LifeEndings.resolve();
+
+        const story = {
+            title: name ? `The Life of ${name}` : 'A Life',
+            seed: SeededRandom.toCode(EventSystem.seed),
+            finalAge: EventSystem.currentAge,
+            profile: {
+                mbti: { type: mbti.type, label: mbti.label, description: mbti.description },
+                enneagram: { type: enneagram.type, label: enneagram.label, description: enneagram.description },
+                ocean: { ...PersonalityEngine.ocean },
+                stress: PersonalityEngine.stress,
+                stressLevel: PersonalityEngine.getStressLevel()
+            },
+            trajectories: PersonalityEngine.getDominantTrajectories(3).map(tag => this.describeTag(tag)),
+            stressArc: this.getStressArc(history),
+            worldEvents: WorldEvents.getTimeline(),
+            people: CharacterRoster.getCast(EventSystem.currentAge).map(character => ({
+                name: character.name,
+                relation: character.relation,
+                age: character.age,
+                status: character.status,
+                closeness: character.closeness
+            })),
+            resources: Object.entries(LifeResources.values).map(([resource, value]) => ({
+                resource,
+                name: LifeResources.names[resource],
+                value
+            })),
+            healthFailed: LifeResources.isDepleted(),
+            ending: ending && { id: ending.id, title: ending.title, epilogue: LifeEndings.writeEpilogue(ending) },
+            chapters: this.buildChapters(events)
+        };
+
+        story.epilogue = this.writeEpilogue(story);
+        return story;
+    },
+
+    // Structured entry for one event, with its prose
+    buildEvent(event, nextEvent) {
+        // Tags gained here: the difference to the next event's starting tags, or to the final tags
+        const after = nextEvent ? nextEvent.trajectoryBefore : PersonalityEngine.trajectoryTags;
+        const before = event.trajectoryBefore || {};
+        const tags = Object.keys(after || {}).filter(tag => after[tag] > (before[tag] || 0));
+
+        const entry = {
+            age: event.age,
+            stage: event.stage,
+            title: event.title,
+            choice: event.choiceTitle,
+            outcome: event.outcome,
+            outcomeLabel: event.outcomeLabel || null,
+            reflectionPrompt: event.reflectionPrompt || null,
+            reflection: event.reflection || null,
+            traitShifts: Object.entries(event.oceanChanges || {}).map(([trait, delta]) => ({
+                trait,
+                name: PersonalityEngine.traitNames[trait],
+                delta
+            })),
+            stressBefore: event.stressBefore,
+            stressAfter: event.stressAfter,
+            resourceChanges: Object.entries(event.resourceChanges || {}).map(([resource, delta]) => ({
+                resource,
+                name: LifeResources.names[resource],
+                delta
+            })),
+            trajectories: tags.map(tag => this.describeTag(tag)),
+            worldEvents: [...new Set((event.worldEvents || []).map(world => world.name))],
+            quietYears: event.quietYears || null
+        };
+
+        entry.text = this.writeEvent(entry);
+        return entry;
+    },
+
+    // A trajectory tag with its authored description, when there is one
+    describeTag(tag) {
+        const description = EventSystem.getTrajectoryDescription(tag);
+        return { tag, description: description !== tag ? description : null };
+    },
+
+    // Group events into chapters by life stage, in order of occurrence
+    buildChapters(events) {
+        const chapters = [];
+        events.forEach(event => {
+            let chapter = chapters[chapters.length - 1];
+            if (!chapter || chapter.stage !== event.stage) {
+                chapter = {
+                    stage: event.stage,
+                    label: EventSystem.stages[event.stage].label,
+                    startAge: event.age,
+                    endAge: event.age,
+                    stressStart: event.stressBefore,
+                    stressEnd: event.stressAfter,
+                    events: []
+                };
+                chapters.push(chapter);
+            }
+            chapter.endAge = event.age;
+            chapter.stressEnd = event.stressAfter;
+            chapter.events.push(event);
+        });
+
+        chapters.forEach(chapter => {
+            chapter.text = this.writeChapterArc(chapter);
+        });
+        return chapters;
+    },
+
+    // Stress at each decision, plus where it ended
+    getStressArc(history) {
+        const arc = history.map(event => ({ age: event.age, stress: event.stressBefore }));
+        arc.push({ age: EventSystem.currentAge, stress: PersonalityEngine.stress });
+        return arc;
+    },
+
+    // Prose for one event
+    writeEvent(entry) {
+        const sentences = [
+            `At ${entry.age}, you decided: ${this.lowerFirst(entry.choice)}.`,
+            entry.outcome
+        ];
+
+        const shifts = entry.traitShifts
+            .filter(shift => Math.abs(shift.delta) >= 3)
+            .map(shift => this.traitShiftWords[shift.trait][shift.delta > 0 ? 0 : 1]);
+        if (shifts.length > 0) {
+            sentences.push(`It left you ${this.joinList(shifts)}.`);
+        }
+
+        const stressChange = entry.stressAfter - entry.stressBefore;
+        if (Math.abs(stressChange) >= 10) {
+            sentences.push(stressChange > 0
+                ? `The pressure mounted, stress climbing from ${entry.stressBefore} to ${entry.stressAfter}.`
+                : `Some weight lifted, stress easing from ${entry.stressBefore} to ${entry.stressAfter}.`);
+        }
+
+        if (entry.worldEvents.length > 0) {
+            sentences.push(`In the years that followed, the world changed too: ${this.joinList(entry.worldEvents)}.`);
+        }
+
+        if (entry.quietYears) {
+            sentences.push(this.writeQuietYears(entry.quietYears));
+        }
+
+        return sentences.join(' ');
+    },
+
+    // One or two sentences on a stretch of years without a decision
+    writeQuietYears(quiet) {
+        const stressChange = quiet.stressAfter - quiet.stressBefore;
+        const mood = stressChange <= -10 ? 'easier' : stressChange >= 10 ? 'harder' : 'steady';
+        const sentences = [`Then came ${quiet.years} quiet years, ${mood} ones, from ${quiet.startAge} to ${quiet.endAge}.`];
+
+        const shifts = Object.entries(quiet.oceanChanges)
+            .map(([trait, delta]) => this.traitShiftWords[trait][delta > 0 ? 0 : 1]);
+        if (shifts.length > 0) {
+            sentences.push(`Without much noticing, you grew ${this.joinList(shifts)}.`);
+        }
+
+        return sentences.join(' ');
+    },
+
+    // One sentence on how a stage felt, judged by stress from its first to its last decision
+    writeChapterArc(chapter) {
+        const span = chapter.startAge === chapter.endAge
+            ? `at ${chapter.startAge}`
+            : `from ${chapter.startAge} to ${chapter.endAge}`;
+        const change = chapter.stressEnd - chapter.stressStart;
+
+        if (change >= 15) return `Life ${span} grew steadily heavier.`;
+        if (change <= -15) return `Life ${span} brought a gradual easing.`;
+        return `Life ${span} held a steady pace.`;
+    },
+
+    // Closing paragraph: who this life made you
+    writeEpilogue(story) {
+        const sentences = [
+            `By ${story.finalAge}, you had become ${story.profile.mbti.type} (${story.profile.mbti.description.split(' - ')[0]}), ` +
+            `Enneagram ${story.profile.enneagram.label}.`
+        ];
+
+        const described = story.trajectories.filter(trajectory => trajectory.description);
+        if (described.length > 0) {
+            sentences.push(`What defined your path: ${described.map(t => this.lowerFirst(t.description)).join('; ')}.`);
+        } else if (story.trajectories.length > 0) {
+            sentences.push(`Your path leaned ${this.joinList(story.trajectories.map(t => t.tag))}.`);
+        } else {
+            sentences.push('Your path was uniquely your own.');
+        }
+
+        const peak = Math.max(...story.stressArc.map(point => point.stress));
+        if (peak >= PersonalityEngine.stressThresholds.high) {
+            sentences.push(`There were hard years, stress peaking at ${peak}, and you ended at a ${story.profile.stressLevel.toLowerCase()} level.`);
+        }
+
+        return sentences.join(' ');
+    },
+
+    // Render as Markdown
+    toMarkdown(story) {
+        const lines = [
+            `# ${story.title}`,
+            '',
+            `*Seed ${story.seed} · ${story.profile.mbti.label} · Enneagram ${story.profile.enneagram.label}*`,
+            ''
+        ];
+
+        story.chapters.forEach(chapter => {
+            lines.push(`## ${chapter.label}`, '', chapter.text, '');
+            chapter.events.forEach(event => {
+                lines.push(`### Age ${event.age}: ${event.title}${event.outcomeLabel ? ` (${event.outcomeLabel})` : ''}`, '');
+                lines.push(event.text, '');
+
+                const details = [];
+                if (event.traitShifts.length > 0) {
+                    details.push(`Traits: ${event.traitShifts.map(s => `${s.name} ${s.delta > 0 ? '+' : ''}${s.delta}`).join(', ')}`);
+                }
+                details.push(`Stress: ${event.stressBefore} → ${event.stressAfter}`);
+                if (event.resourceChanges.length > 0) {
+                    details.push(`Resources: ${event.resourceChanges.map(r => `${r.name} ${r.delta > 0 ? '+' : ''}${r.delta}`).join(', ')}`);
+                }
+                if (event.trajectories.length > 0) {
+                    details.push(`Path: ${event.trajectories.map(t => t.tag).join(', ')}`);
+                }
+                lines.push(...details.map(detail => `- ${detail}`), '');
+
+                if (event.reflection) {
+                    lines.push(`> *${event.reflectionPrompt}*`, '>', ...event.reflection.split('\n').map(line => `> ${line}`), '');
+                }
+            });
+        });
+
+        lines.push('## Epilogue', '');
+        if (story.ending) {
+            lines.push(`### ${story.ending.title}`, '', story.ending.epilogue, '');
+        }
+        lines.push(story.epilogue, '');
+        lines.push(`*${story.resources.map(r => `${r.name} ${r.value}`).join(' · ')}*`, '');
+
+        if (story.trajectories.length > 0) {
+            lines.push(...story.trajectories.map(t => `- **${t.tag}**${t.description ? `: ${t.description}` : ''}`), '');
+        }
+
+        if (story.people.length > 0) {
+            lines.push('### The people in this life', '', ...story.people.map(person => `- ${this.describePerson(person)}`), '');
+        }
+
+        return lines.join('\n');
+    },
+
+    // Reflection prompts the user answered, in order
+    getJournal(story) {
+        const entries = [];
+        story.chapters.forEach(chapter => chapter.events.forEach(event => {
+            if (event.reflection) {
+                entries.push({ age: event.age, title: event.title, prompt: event.reflectionPrompt, answer: event.reflection });
+            }
+        }));
+        return entries;
+    },
+
+    // Render the journal alone as Markdown, headed with the life's name when it has one
+    journalToMarkdown(story, name = '') {
+        const lines = [`# Journal: ${name || story.title}`, ''];
+        const entries = this.getJournal(story);
+
+        if (entries.length === 0) {
+            lines.push('*No reflections written.*', '');
+        }
+        entries.forEach(entry => {
+            lines.push(`## Age ${entry.age}: ${entry.title}`, '', `*${entry.prompt}*`, '', entry.answer, '');
+        });
+
+        return lines.join('\n');
+    },
+
+    // Render as JSON
+    toJSON(story) {
+        return JSON.stringify(story, null, 2);
+    },
+
+    // Render as a standalone, print-friendly HTML page
+    toHTML(story) {
+        const html = SafeHtml.html.bind(SafeHtml);
+        const signed = delta => `${delta > 0 ? '+' : ''}${delta}`;
+
+        const chapters = story.chapters.map(chapter => html`
+            <section>
+                <h2>${chapter.label}</h2>
+                <p class="arc">${chapter.text}</p>
+                ${chapter.events.map(event => html`
+                    <article>
+                        <h3>Age ${event.age}: ${event.title}${event.outcomeLabel && html` <span class="label">${event.outcomeLabel}</span>`}</h3>
+                        <p>${SafeHtml.rich(event.text)}</p>
+                        <p class="details">
+                            ${event.traitShifts.map(s => `${s.name} ${signed(s.delta)}`).join(' · ')}
+                            ${event.traitShifts.length > 0 ? ' · ' : ''}Stress ${event.stressBefore} → ${event.stressAfter}
+                            ${event.resourceChanges.map(r => ` · ${r.name} ${signed(r.delta)}`).join('')}
+                        </p>
+                        ${event.reflection && html`
+                            <blockquote>
+                                <p class="prompt">${event.reflectionPrompt}</p>
+                                <p>${event.reflection}</p>
+                            </blockquote>
+                        `}
+                    </article>
+                `)}
+            </section>
+        `);
+
+        const people = story.people.map(person => html`<li>${this.describePerson(person)}</li>`);
+
+        const trajectories = story.trajectories.map(t =>
+            html`<li><strong>${t.tag}</strong>${t.description && `: ${t.description}`}</li>`);
+
+        return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${story.title}</title>
+    <style>
+        body { font-family: Georgia, 'Times New Roman', serif; max-width: 40rem; margin: 2rem auto; padding: 0 1rem; color: #1a1a1a; line-height: 1.6; }
+        h1 { margin-bottom: 0.25rem; }
+        h2 { margin-top: 2rem; border-bottom: 1px solid #e5e5e5; }
+        h3 { font-size: 1rem; margin-bottom: 0.25rem; }
+        .meta, .arc, .details { color: #666666; font-size: 0.875rem; }
+        .arc { font-style: italic; }
+        blockquote { margin: 0.5rem 0 0; padding-left: 1rem; border-left: 3px solid #2d2d2d; white-space: pre-line; }
+        blockquote .prompt { font-style: italic; color: #666666; }
+        .label { font-size: 0.75rem; border: 1px solid #999999; border-radius: 12px; padding: 0 6px; }
+        article { break-inside: avoid; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${story.title}</h1>
+    <p class="meta">Seed ${story.seed} · ${story.profile.mbti.label} · Enneagram ${story.profile.enneagram.label}</p>
+    ${chapters}
+    <section>
+        <h2>Epilogue</h2>
+        ${story.ending && html`<h3>${story.ending.title}</h3><p>${SafeHtml.rich(story.ending.epilogue)}</p>`}
+        <p>${story.epilogue}</p>
+        <p class="details">${story.resources.map(r => `${r.name} ${r.value}`).join(' · ')}</p>
+        ${trajectories.length > 0 && html`<ul>${trajectories}</ul>`}
+        ${people.length > 0 && html`<h3>The people in this life</h3><ul>${people}</ul>`}
+    </section>
+</body>
+</html>
+`);
+    },
+
+    // "Ruth, your parent (78, estranged)"
+    describePerson(person) {
+        const notes = person.status === 'deceased' ? ['died'] : [String(person.age)];
+        if (person.status === 'estranged') notes.push('estranged');
+        return `${person.name}, your ${person.relation} (${notes.join(', ')})`;
+    },
+
+    // "a", "a and b", "a, b and c"
+    joinList(items) {
+        if (items.length <= 1) return items.join('');
+        return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    },
+
+    lowerFirst(text) {
+        return text.charAt(0).toLowerCase() + text.slice(1);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LifeStory;
+}
@@ -0,0 +1,681 @@
+// Data Validator - Schema and reachability checks for questions.json, scenarios.json and content packs
+
+const DataValidator = {
+    traits: ['O', 'C', 'E', 'A', 'N'],
+
+    // Resources choices may change and conditions may test
+    resources: ['wealth', 'health', 'social', 'career'],
+
+    // Keys outcome variants may be favored by besides traits and resources
+    favorKeys: ['stress', 'alignment'],
+
+    // Effects WorldEvents knows how to apply
+    worldEffects: ['opportunity_scarcity', 'stress_baseline', 'extraversion_penalty', 'neuroticism_boost'],
+
+    // Relationship states a character can be in
+    characterStatuses: ['alive', 'estranged', 'deceased'],
+
+    // Ages a life can reach scenarios at
+    startAge: 18,
+    endAge: 75,
+
+    // Collect an issue; errors stop the app loading, warnings are logged
+    report(issues, level, path, message) {
+        issues.push({ level, path, message });
+    },
+
+    // Check required fields of an object by expected type
+    requireFields(issues, item, path, fields) {
+        for (const field in fields) {
+            const type = fields[field];
+            const value = item[field];
+            const ok = type === 'array' ? Array.isArray(value) : typeof value === type;
+            if (!ok) {
+                this.report(issues, 'error', `${path}.${field}`, `missing or not a${type === 'array' ? 'n' : ''} ${type}`);
+            }
+        }
+    },
+
+    // Check an OCEAN weights object: known trait keys with numeric values
+    checkWeights(issues, weights, path) {
+        if (weights === undefined) return;
+        if (typeof weights !== 'object' || weights === null) {
+            this.report(issues, 'error', path, 'must be an object of trait weights');
+            return;
+        }
+        for (const key in weights) {
+            if (!this.traits.includes(key)) {
+                this.report(issues, 'error', `${path}.${key}`, `unknown trait "${key}" (expected one of ${this.traits.join(', ')})`);
+            } else if (typeof weights[key] !== 'number') {
+                this.report(issues, 'error', `${path}.${key}`, 'weight must be a number');
+            }
+        }
+    },
+
+    // Check resource deltas or thresholds: known resource keys with numeric values
+    checkResources(issues, resources, path) {
+        if (resources === undefined) return;
+        if (typeof resources !== 'object' || resources === null) {
+            this.report(issues, 'error', path, 'must be an object of resource values');
+            return;
+        }
+        for (const key in resources) {
+            if (!this.resources.includes(key)) {
+                this.report(issues, 'error', `${path}.${key}`, `unknown resource "${key}" (expected one of ${this.resources.join(', ')})`);
+            } else if (typeof resources[key] !== 'number') {
+                this.report(issues, 'error', `${path}.${key}`, 'must be a number');
+            }
+        }
+    },
+
+    // Check a [min, max] age pair
+    checkRange(issues, range, path) {
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isInteger)) {
+            this.report(issues, 'error', path, 'must be [min, max] whole numbers');
+            return false;
+        }
+        if (range[0] > range[1]) {
+            this.report(issues, 'error', path, `min ${range[0]} is above max ${range[1]}`);
+            return false;
+        }
+        return true;
+    },
+
+    // Check declared time: a number of years or a [min, max] range, at least one year
+    checkYears(issues, years, path) {
+        if (years === undefined) return;
+        if (Array.isArray(years)) {
+            if (this.checkRange(issues, years, path) && years[0] < 1) {
+                this.report(issues, 'error', path, 'must be at least 1 year');
+            }
+        } else if (!Number.isInteger(years) || years < 1) {
+            this.report(issues, 'error', path, 'must be a whole number of years, at least 1, or a [min, max] range');
+        }
+    },
+
+    // Flag ids that appear more than once
+    checkUniqueIds(issues, items, path) {
+        const seen = new Set();
+        items.forEach((item, index) => {
+            if (item.id === undefined) return;
+            if (seen.has(item.id)) {
+                this.report(issues, 'error', `${path}[${index}].id`, `duplicate id "${item.id}"`);
+            }
+            seen.add(item.id);
+        });
+    },
+
+    // Validate questions.json content
+    validateQuestions(data) {
+        const issues = [];
+        if (!data || !Array.isArray(data.questions)) {
+            this.report(issues, 'error', 'questions', 'missing questions array');
+            return issues;
+        }
+
+        this.checkUniqueIds(issues, data.questions, 'questions');
+        this.checkNorms(issues, data.norms);
+        data.questions.forEach((question, index) => {
+            const path = `questions[${index}]`;
+            if (question.id === undefined) {
+                this.report(issues, 'error', `${path}.id`, 'missing id');
+            }
+            if (question.format === 'likert') {
+                this.checkLikertItem(issues, question, path, data.norms || {});
+                return;
+            }
+            if (question.format !== undefined) {
+                this.report(issues, 'error', `${path}.format`, `unknown format "${question.format}" (expected "likert" or none)`);
+            }
+
+            this.requireFields(issues, question, path, { text: 'string', context: 'string', choices: 'array' });
+            if (!Array.isArray(question.choices)) return;
+
+            if (question.choices.length < 2) {
+                this.report(issues, 'error', `${path}.choices`, 'needs at least two choices');
+            }
+            question.choices.forEach((choice, choiceIndex) => {
+                const choicePath = `${path}.choices[${choiceIndex}]`;
+                this.requireFields(issues, choice, choicePath, { text: 'string', weights: 'object' });
+                this.checkWeights(issues, choice.weights, `${choicePath}.weights`);
+            });
+        });
+
+        return issues;
+    },
+
+    // Check a Likert item: one trait, keyed + or -, with a norm table to score it against
+    checkLikertItem(issues, question, path, norms) {
+        this.requireFields(issues, question, path, { text: 'string', context: 'string' });
+        if (!this.traits.includes(question.trait)) {
+            this.report(issues, 'error', `${path}.trait`, `must be one of ${this.traits.join(', ')}`);
+        } else if (!norms[question.trait]) {
+            this.report(issues, 'error', `${path}.trait`, `no norm table for trait "${question.trait}"`);
+        }
+        if (question.keyed !== undefined && !['+', '-'].includes(question.keyed)) {
+            this.report(issues, 'error', `${path}.keyed`, 'must be "+" or "-"');
+        }
+        if (question.choices !== undefined) {
+            this.report(issues, 'warning', `${path}.choices`, 'ignored: Likert items are answered on the 5-point scale');
+        }
+    },
+
+    // Check norm tables: per trait, [raw, percentile] points with raw scores rising through 1-5
+    checkNorms(issues, norms) {
+        if (norms === undefined) return;
+        if (typeof norms !== 'object' || norms === null || Array.isArray(norms)) {
+            this.report(issues, 'error', 'norms', 'must be an object of norm tables by trait');
+            return;
+        }
+
+        for (const trait in norms) {
+            const path = `norms.${trait}`;
+            const table = norms[trait];
+            if (!this.traits.includes(trait)) {
+                this.report(issues, 'error', path, `unknown trait "${trait}" (expected one of ${this.traits.join(', ')})`);
+                continue;
+            }
+            if (!Array.isArray(table) || table.length < 2) {
+                this.report(issues, 'error', path, 'must be a list of at least two [raw score, percentile] points');
+                continue;
+            }
+
+            table.forEach((point, index) => {
+                const pointPath = `${path}[${index}]`;
+                if (!Array.isArray(point) || point.length !== 2 || !point.every(value => typeof value === 'number')) {
+                    this.report(issues, 'error', pointPath, 'must be a [raw score, percentile] pair of numbers');
+                    return;
+                }
+                const [raw, percentile] = point;
+                if (raw < 1 || raw > 5) {
+                    this.report(issues, 'error', pointPath, `raw score ${raw} is outside the 1-5 answer scale`);
+                }
+                if (percentile < 0 || percentile > 100) {
+                    this.report(issues, 'error', pointPath, `percentile ${percentile} is outside 0-100`);
+                }
+
+                const previous = table[index - 1];
+                if (index > 0 && Array.isArray(previous)) {
+                    if (raw <= previous[0]) {
+                        this.report(issues, 'error', pointPath, 'raw scores must rise from point to point');
+                    } else if (percentile < previous[1]) {
+                        this.report(issues, 'error', pointPath, 'percentiles must not fall as raw scores rise');
+                    }
+                }
+            });
+        }
+    },
+
+    // Validate scenarios.json content against the life stages
+    validateScenarios(data, stages = EventSystem.stages) {
+        const issues = [];
+        if (!data || !Array.isArray(data.scenarios)) {
+            this.report(issues, 'error', 'scenarios', 'missing scenarios array');
+            return issues;
+        }
+
+        const modifiers = data.global_modifiers || {};
+        const roles = data.characters || {};
+        const usedTags = new Map();
+        const byId = new Map(data.scenarios.map(scenario => [scenario.id, scenario]));
+
+        this.checkUniqueIds(issues, data.scenarios, 'scenarios');
+        this.checkModifiers(issues, modifiers);
+        this.checkCharacterDefinitions(issues, roles);
+
+        data.scenarios.forEach((scenario, index) => {
+            const path = `scenarios[${index}]`;
+            this.requireFields(issues, scenario, path, {
+                id: 'string',
+                title: 'string',
+                description: 'string',
+                life_stage: 'string',
+                context_tags: 'array',
+                choices: 'array'
+            });
+
+            if (scenario.life_stage !== undefined && scenario.life_stage !== 'any' && !stages[scenario.life_stage]) {
+                this.report(issues, 'error', `${path}.life_stage`,
+                    `unknown stage "${scenario.life_stage}" (expected any, ${Object.keys(stages).join(', ')})`);
+            }
+            if (this.checkRange(issues, scenario.age_range, `${path}.age_range`)) {
+                this.checkReachableAges(issues, scenario, stages, path);
+            }
+            this.checkYears(issues, scenario.years, `${path}.years`);
+
+            if (scenario.global_modifier !== undefined && !modifiers[scenario.global_modifier]) {
+                this.report(issues, 'error', `${path}.global_modifier`,
+                    `unknown global modifier "${scenario.global_modifier}"`);
+            }
+
+            this.checkConditions(issues, scenario.conditions, byId, data.scenarios, `${path}.conditions`);
+            this.checkCast(issues, scenario, roles, path);
+
+            if (!Array.isArray(scenario.choices)) return;
+            if (scenario.choices.length === 0) {
+                this.report(issues, 'error', `${path}.choices`, 'needs at least one choice');
+            }
+            this.checkUniqueIds(issues, scenario.choices, `${path}.choices`);
+            scenario.choices.forEach((choice, choiceIndex) => {
+                const choicePath = `${path}.choices[${choiceIndex}]`;
+                this.checkChoice(issues, choice, byId, usedTags, choicePath);
+                this.checkCharacterEffects(issues, choice.characters, scenario, roles, `${choicePath}.characters`);
+                (Array.isArray(choice.outcomes) ? choice.outcomes : []).forEach((variant, index) => {
+                    this.checkCharacterEffects(issues, variant.characters, scenario, roles, `${choicePath}.outcomes[${index}].characters`);
+                });
+            });
+        });
+
+        this.checkScheduled(issues, data.scenarios);
+        this.checkEndings(issues, data, byId);
+        this.checkDescriptions(issues, usedTags, data.trajectory_descriptions || {});
+        this.checkAffinity(issues, data, usedTags);
+        return issues;
+    },
+
+    // Check a content pack's own shape: an id, and scenario, ending and modifier ids under "<pack id>/"
+    validatePack(pack) {
+        const issues = [];
+        if (!pack || typeof pack !== 'object') {
+            this.report(issues, 'error', 'pack', 'must be an object');
+            return issues;
+        }
+
+        this.requireFields(issues, pack, 'pack', { id: 'string', name: 'string', scenarios: 'array' });
+        if (typeof pack.id === 'string' && !/^[a-z0-9-]+$/.test(pack.id)) {
+            this.report(issues, 'error', 'pack.id', 'must be lowercase letters, digits and dashes');
+        }
+        if (pack.version !== undefined && !(Number.isInteger(pack.version) && pack.version >= 1)) {
+            this.report(issues, 'error', 'pack.version', 'must be a whole number, at least 1');
+        }
+        if (this.summarize(issues).errors.length > 0) return issues;
+
+        // Namespacing keeps packs from colliding with the core content and with each other
+        const prefix = `${pack.id}/`;
+        const checkNamespace = (id, path) => {
+            if (typeof id === 'string' && !id.startsWith(prefix)) {
+                this.report(issues, 'error', path, `"${id}" must start with "${prefix}"`);
+            }
+        };
+        pack.scenarios.forEach((scenario, index) => checkNamespace(scenario.id, `scenarios[${index}].id`));
+        (Array.isArray(pack.endings) ? pack.endings : []).forEach((ending, index) => {
+            checkNamespace(ending.id, `endings[${index}].id`);
+        });
+        Object.keys(pack.global_modifiers || {}).forEach(id => checkNamespace(id, `global_modifiers.${id}`));
+
+        if (pack.characters !== undefined) {
+            this.report(issues, 'warning', 'characters', 'packs cast the core characters; these are ignored');
+        }
+        return issues;
+    },
+
+    // Check the age range falls where the stage and the simulation let it be reached
+    checkReachableAges(issues, scenario, stages, path) {
+        const [minAge, maxAge] = scenario.age_range;
+        const stage = stages[scenario.life_stage];
+
+        if (maxAge < this.startAge || minAge >= this.endAge) {
+            this.report(issues, 'error', `${path}.age_range`,
+                `[${minAge}, ${maxAge}] lies outside the simulated ages ${this.startAge}-${this.endAge - 1}; "${scenario.id}" is unreachable`);
+            return;
+        }
+
+        // Follow-ups come due regardless of stage
+        if (!stage || scenario.scheduled_only) return;
+
+        if (maxAge < stage.min || minAge > stage.max) {
+            this.report(issues, 'error', `${path}.age_range`,
+                `[${minAge}, ${maxAge}] lies outside the ${scenario.life_stage} stage (${stage.min}-${stage.max}); "${scenario.id}" is unreachable`);
+        } else if (minAge < stage.min || maxAge > stage.max) {
+            this.report(issues, 'warning', `${path}.age_range`,
+                `[${minAge}, ${maxAge}] extends past the ${scenario.life_stage} stage (${stage.min}-${stage.max}); only the overlap is reachable`);
+        }
+    },
+
+    // Check a "scenario" or "scenario:choice" reference
+    checkReference(issues, ref, byId, path) {
+        if (typeof ref !== 'string') {
+            this.report(issues, 'error', path, 'reference must be a string');
+            return;
+        }
+        const [scenarioId, choiceId] = ref.split(':');
+        const target = byId.get(scenarioId);
+        if (!target) {
+            this.report(issues, 'error', path, `unknown scenario "${scenarioId}"`);
+        } else if (choiceId !== undefined && !(target.choices || []).some(choice => choice.id === choiceId)) {
+            this.report(issues, 'error', path, `unknown choice "${choiceId}" in "${scenarioId}"`);
+        }
+    },
+
+    // Check authored conditions
+    checkConditions(issues, conditions, byId, scenarios, path) {
+        if (conditions === undefined) return;
+
+        ['requires', 'excludes'].forEach(key => {
+            if (conditions[key] === undefined) return;
+            if (!Array.isArray(conditions[key])) {
+                this.report(issues, 'error', `${path}.${key}`, 'must be an array of references');
+                return;
+            }
+            conditions[key].forEach((ref, index) => this.checkReference(issues, ref, byId, `${path}.${key}[${index}]`));
+        });
+
+        for (const role in conditions.characters) {
+            const rule = conditions.characters[role];
+            if (!rule || typeof rule !== 'object') continue;
+            [].concat(rule.status || []).forEach(status => {
+                if (!this.characterStatuses.includes(status)) {
+                    this.report(issues, 'error', `${path}.characters.${role}.status`, `unknown status "${status}"`);
+                }
+            });
+        }
+
+        this.checkWeights(issues, conditions.min_traits, `${path}.min_traits`);
+        this.checkWeights(issues, conditions.max_traits, `${path}.max_traits`);
+        this.checkResources(issues, conditions.min_resources, `${path}.min_resources`);
+        this.checkResources(issues, conditions.max_resources, `${path}.max_resources`);
+
+        ['min_stress', 'max_stress'].forEach(key => {
+            const value = conditions[key];
+            if (value === undefined) return;
+            if (typeof value !== 'number' || value < 0 || value > 100) {
+                this.report(issues, 'error', `${path}.${key}`, 'must be a number from 0 to 100');
+            }
+        });
+
+        // A trajectory threshold only makes sense for tags some choice awards
+        const awarded = new Set();
+        scenarios.forEach(scenario => (scenario.choices || []).forEach(choice => {
+            (choice.trajectory_tags || []).forEach(tag => awarded.add(tag));
+            (choice.outcomes || []).forEach(variant => (variant.trajectory_tags || []).forEach(tag => awarded.add(tag)));
+        }));
+        for (const tag in conditions.min_trajectory) {
+            if (!awarded.has(tag)) {
+                this.report(issues, 'error', `${path}.min_trajectory.${tag}`, `no choice awards the tag "${tag}"`);
+            }
+        }
+    },
+
+    // Check one scenario choice
+    checkChoice(issues, choice, byId, usedTags, path) {
+        this.requireFields(issues, choice, path, { id: 'string', title: 'string', outcome: 'string' });
+        this.checkWeights(issues, choice.ocean_weights, `${path}.ocean_weights`);
+        this.checkResources(issues, choice.resources, `${path}.resources`);
+        this.checkYears(issues, choice.years, `${path}.years`);
+        this.checkTags(issues, choice.trajectory_tags, usedTags, `${path}.trajectory_tags`);
+
+        if (choice.stress_delta !== undefined && typeof choice.stress_delta !== 'number') {
+            this.report(issues, 'error', `${path}.stress_delta`, 'must be a number');
+        }
+
+        if (choice.follow_up !== undefined) {
+            const followUp = choice.follow_up;
+            if (!byId.has(followUp.scenario)) {
+                this.report(issues, 'error', `${path}.follow_up.scenario`, `unknown scenario "${followUp.scenario}"`);
+            }
+            if (!Number.isInteger(followUp.years) || followUp.years < 1) {
+                this.report(issues, 'error', `${path}.follow_up.years`, 'must be a whole number of years, at least 1');
+            }
+        }
+
+        if (choice.outcomes === undefined) return;
+        if (!Array.isArray(choice.outcomes)) {
+            this.report(issues, 'error', `${path}.outcomes`, 'must be an array of outcome variants');
+            return;
+        }
+        this.checkUniqueIds(issues, choice.outcomes, `${path}.outcomes`);
+        choice.outcomes.forEach((variant, index) => {
+            const variantPath = `${path}.outcomes[${index}]`;
+            this.requireFields(issues, variant, variantPath, { id: 'string' });
+            this.checkWeights(issues, variant.ocean_weights, `${variantPath}.ocean_weights`);
+            this.checkResources(issues, variant.resources, `${variantPath}.resources`);
+            this.checkTags(issues, variant.trajectory_tags, usedTags, `${variantPath}.trajectory_tags`);
+
+            for (const key in variant.favored_by) {
+                if (!this.traits.includes(key) && !this.resources.includes(key) && !this.favorKeys.includes(key)) {
+                    this.report(issues, 'error', `${variantPath}.favored_by.${key}`,
+                        `unknown key "${key}" (expected a trait, a resource, ${this.favorKeys.join(' or ')})`);
+                }
+            }
+            if (variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight >= 0)) {
+                this.report(issues, 'error', `${variantPath}.weight`, 'must be a number of at least 0');
+            }
+            if (variant.stress_delta !== undefined && typeof variant.stress_delta !== 'number') {
+                this.report(issues, 'error', `${variantPath}.stress_delta`, 'must be a number');
+            }
+        });
+    },
+
+    // Check a trajectory tag list, remembering where each tag is first used
+    checkTags(issues, tags, usedTags, path) {
+        if (tags === undefined) return;
+        if (!Array.isArray(tags)) {
+            this.report(issues, 'error', path, 'must be an array of tags');
+            return;
+        }
+        tags.forEach(tag => {
+            if (!usedTags.has(tag)) usedTags.set(tag, { path, count: 0 });
+            usedTags.get(tag).count++;
+        });
+    },
+
+    // Check ending definitions and the choices that trigger them
+    checkEndings(issues, data, byId) {
+        if (data.endings === undefined) return;
+        if (!Array.isArray(data.endings)) {
+            this.report(issues, 'error', 'endings', 'must be an array of endings');
+            return;
+        }
+
+        this.checkUniqueIds(issues, data.endings, 'endings');
+        data.endings.forEach((ending, index) => {
+            const path = `endings[${index}]`;
+            this.requireFields(issues, ending, path, { id: 'string', title: 'string', epilogue: 'string' });
+            if (ending.priority !== undefined && typeof ending.priority !== 'number') {
+                this.report(issues, 'error', `${path}.priority`, 'must be a number');
+            }
+            this.checkConditions(issues, ending.conditions, byId, data.scenarios, `${path}.conditions`);
+        });
+
+        // Outcomes may end a life early with a named ending
+        const ids = new Set(data.endings.map(ending => ending.id));
+        const triggered = new Set();
+        data.scenarios.forEach((scenario, index) => (scenario.choices || []).forEach((choice, choiceIndex) => {
+            const choicePath = `scenarios[${index}].choices[${choiceIndex}]`;
+            [[choice, choicePath], ...(choice.outcomes || []).map((variant, i) => [variant, `${choicePath}.outcomes[${i}]`])]
+                .forEach(([item, path]) => {
+                    if (item.ending === undefined) return;
+                    triggered.add(item.ending);
+                    if (!ids.has(item.ending)) {
+                        this.report(issues, 'error', `${path}.ending`, `unknown ending "${item.ending}"`);
+                    }
+                });
+        }));
+
+        data.endings.forEach((ending, index) => {
+            if (ending.triggered_only && !triggered.has(ending.id)) {
+                this.report(issues, 'warning', `endings[${index}]`, `"${ending.id}" is triggered_only but no outcome triggers it`);
+            }
+        });
+        if (!data.endings.some(ending => !ending.triggered_only && !ending.conditions)) {
+            this.report(issues, 'warning', 'endings', 'no unconditional ending; some lives may finish without one');
+        }
+    },
+
+    // Check the character role definitions
+    checkCharacterDefinitions(issues, roles) {
+        for (const role in roles) {
+            const path = `characters.${role}`;
+            const definition = roles[role];
+
+            if (!Array.isArray(definition.names) || definition.names.length === 0) {
+                this.report(issues, 'error', `${path}.names`, 'needs at least one name');
+            }
+            if (!definition.newborn && definition.age_offset !== undefined) {
+                const offset = definition.age_offset;
+                if (!Array.isArray(offset) || offset.length !== 2 || !offset.every(Number.isInteger) || offset[0] > offset[1]) {
+                    this.report(issues, 'error', `${path}.age_offset`, 'must be [min, max] whole numbers');
+                }
+            }
+            if (definition.closeness !== undefined &&
+                (typeof definition.closeness !== 'number' || definition.closeness < 0 || definition.closeness > 100)) {
+                this.report(issues, 'error', `${path}.closeness`, 'must be a number from 0 to 100');
+            }
+        }
+    },
+
+    // Check a scenario's cast, subject, character conditions and name placeholders
+    checkCast(issues, scenario, roles, path) {
+        const checkRoles = (list, field) => {
+            if (list === undefined) return;
+            if (!Array.isArray(list)) {
+                this.report(issues, 'error', `${path}.${field}`, 'must be an array of character roles');
+                return;
+            }
+            list.forEach(role => {
+                if (!roles[role]) this.report(issues, 'error', `${path}.${field}`, `unknown character role "${role}"`);
+            });
+        };
+        checkRoles(scenario.cast, 'cast');
+        checkRoles(scenario.subject, 'subject');
+
+        for (const role in scenario.conditions?.characters) {
+            if (!roles[role]) {
+                this.report(issues, 'error', `${path}.conditions.characters.${role}`, `unknown character role "${role}"`);
+            }
+        }
+
+        // Every {placeholder} in the scenario's text must name a role, or the subject when there is one
+        const texts = [scenario.title, scenario.description];
+        (scenario.choices || []).forEach(choice => {
+            texts.push(choice.title, choice.description, choice.outcome);
+            (choice.outcomes || []).forEach(variant => texts.push(variant.outcome));
+        });
+        texts.filter(text => typeof text === 'string').forEach(text => {
+            for (const [, key] of text.matchAll(/\{(\w+)(?:\.relation)?\}/g)) {
+                if (key === 'subject' ? !scenario.subject : !roles[key]) {
+                    this.report(issues, 'error', path, `placeholder {${key}} names no character role${key === 'subject' ? ' (the scenario has no subject)' : ''}`);
+                }
+            }
+        });
+    },
+
+    // Check a choice's character effects: { role: { closeness, status } }
+    checkCharacterEffects(issues, effects, scenario, roles, path) {
+        if (effects === undefined) return;
+        if (typeof effects !== 'object' || effects === null) {
+            this.report(issues, 'error', path, 'must be an object keyed by character role');
+            return;
+        }
+
+        for (const role in effects) {
+            const effect = effects[role];
+            if (role === 'subject' ? !scenario.subject : !roles[role]) {
+                this.report(issues, 'error', `${path}.${role}`,
+                    role === 'subject' ? 'the scenario has no subject' : `unknown character role "${role}"`);
+            }
+            if (effect.closeness !== undefined && typeof effect.closeness !== 'number') {
+                this.report(issues, 'error', `${path}.${role}.closeness`, 'must be a number');
+            }
+            if (effect.status !== undefined && !this.characterStatuses.includes(effect.status)) {
+                this.report(issues, 'error', `${path}.${role}.status`, `unknown status "${effect.status}"`);
+            }
+        }
+    },
+
+    // Trajectory tags without a description never show up in the final reflection
+    checkDescriptions(issues, usedTags, descriptions) {
+        usedTags.forEach(({ path, count }, tag) => {
+            if (!descriptions[tag]) {
+                this.report(issues, 'warning', path,
+                    `tag "${tag}" (used ${count} time${count === 1 ? '' : 's'}) has no entry in trajectory_descriptions`);
+            }
+        });
+    },
+
+    // Check the selection weighting maps refer to tags the content actually uses
+    checkAffinity(issues, data, usedTags) {
+        const contexts = new Set();
+        data.scenarios.forEach(scenario => (scenario.context_tags || []).forEach(tag => contexts.add(tag)));
+
+        const affinity = data.trajectory_affinity || {};
+        for (const trajectory in affinity) {
+            const path = `trajectory_affinity.${trajectory}`;
+            if (!usedTags.has(trajectory)) {
+                this.report(issues, 'warning', path, `no choice awards the tag "${trajectory}"`);
+            }
+            for (const context in affinity[trajectory]) {
+                if (typeof affinity[trajectory][context] !== 'number') {
+                    this.report(issues, 'error', `${path}.${context}`, 'affinity must be a number');
+                } else if (!contexts.has(context)) {
+                    this.report(issues, 'warning', `${path}.${context}`, `no scenario has the context tag "${context}"`);
+                }
+            }
+        }
+
+        const contextTraits = data.context_traits || {};
+        for (const context in contextTraits) {
+            const path = `context_traits.${context}`;
+            if (!contexts.has(context)) {
+                this.report(issues, 'warning', path, `no scenario has the context tag "${context}"`);
+            }
+            this.checkWeights(issues, contextTraits[context], path);
+        }
+    },
+
+    // Scheduled-only scenarios need some choice to schedule them
+    checkScheduled(issues, scenarios) {
+        const scheduled = new Set();
+        scenarios.forEach(scenario => (scenario.choices || []).forEach(choice => {
+            if (choice.follow_up) scheduled.add(choice.follow_up.scenario);
+        }));
+
+        scenarios.forEach((scenario, index) => {
+            if (scenario.scheduled_only && !scheduled.has(scenario.id)) {
+                this.report(issues, 'error', `scenarios[${index}].scheduled_only`,
+                    `no choice schedules "${scenario.id}" as a follow-up; it is unreachable`);
+            }
+        });
+    },
+
+    // Check the world event definitions
+    checkModifiers(issues, modifiers) {
+        for (const id in modifiers) {
+            const modifier = modifiers[id];
+            const path = `global_modifiers.${id}`;
+
+            this.requireFields(issues, modifier, path, { name: 'string', effects: 'object' });
+            // Timing is optional; WorldEvents has defaults for each
+            if (modifier.chance_per_year !== undefined &&
+                (typeof modifier.chance_per_year !== 'number' || modifier.chance_per_year < 0 || modifier.chance_per_year > 1)) {
+                this.report(issues, 'error', `${path}.chance_per_year`, 'must be a probability from 0 to 1');
+            }
+            if (modifier.duration !== undefined) this.checkRange(issues, modifier.duration, `${path}.duration`);
+            if (modifier.age_range !== undefined) this.checkRange(issues, modifier.age_range, `${path}.age_range`);
+
+            for (const effect in modifier.effects) {
+                if (!this.worldEffects.includes(effect)) {
+                    this.report(issues, 'error', `${path}.effects.${effect}`, `unknown effect "${effect}"`);
+                }
+            }
+        }
+    },
+
+    // Split issues by level
+    summarize(issues) {
+        return {
+            errors: issues.filter(issue => issue.level === 'error'),
+            warnings: issues.filter(issue => issue.level === 'warning')
+        };
+    },
+
+    // One readable line per issue
+    format(issue, file) {
+        return `${file ? file + ': ' : ''}${issue.path}: ${issue.message}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataValidator;
+}
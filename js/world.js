@@ -0,0 +1,174 @@
+// World Events - Global modifiers (recession, pandemic) that shape a span of years
+
+const WorldEvents = {
+    modifiers: {},
+    currentAge: 18,
+    history: [],
+
+    // Random source; the event system injects its seeded generator
+    random: Math.random,
+
+    // Scenario contexts that dry up while opportunities are scarce
+    scarceContexts: ['career'],
+
+    // Defaults for modifiers that don't specify their own timing
+    defaults: {
+        chancePerYear: 0.02,
+        duration: [2, 3],
+        ageRange: [18, 75]
+    },
+
+    // Set the modifier definitions (global_modifiers from scenarios.json)
+    setModifiers(modifiers) {
+        this.modifiers = modifiers || {};
+    },
+
+    // Reset world state for a new life
+    reset(startAge = 18) {
+        this.currentAge = startAge;
+        this.history = [];
+    },
+
+    // Get world events active at an age, the current one by default
+    getActive(age = this.currentAge) {
+        return this.history.filter(event =>
+            event.startAge <= age && age <= event.endAge
+        );
+    },
+
+    // Check whether a modifier is currently active
+    isActive(modifierId) {
+        return this.getActive().some(event => event.id === modifierId);
+    },
+
+    // Check whether any active modifier carries an effect
+    hasEffect(effect) {
+        return this.getActive().some(event => {
+            const modifier = this.modifiers[event.id];
+            return modifier?.effects?.[effect] !== undefined;
+        });
+    },
+
+    // Extra stress the modifiers active at an age hold a person at
+    getStressBaseline(age = this.currentAge) {
+        return this.getActive(age).reduce((sum, event) =>
+            sum + (this.modifiers[event.id]?.effects?.stress_baseline || 0), 0);
+    },
+
+    // Advance the world to a new age, rolling for new events each year
+    advance(toAge) {
+        const started = [];
+
+        for (let age = this.currentAge + 1; age <= toAge; age++) {
+            this.currentAge = age;
+            this.history
+                .filter(event => event.endAge === age - 1)
+                .forEach(event => this.end(event));
+
+            for (const id in this.modifiers) {
+                if (this.isActive(id)) continue;
+
+                const modifier = this.modifiers[id];
+                const [minAge, maxAge] = modifier.age_range || this.defaults.ageRange;
+                if (age < minAge || age > maxAge) continue;
+
+                const chance = modifier.chance_per_year ?? this.defaults.chancePerYear;
+                if (this.random() < chance) {
+                    started.push(this.start(id, age));
+                }
+            }
+        }
+
+        this.currentAge = toAge;
+        return started;
+    },
+
+    // Begin a world event and apply its onset effects
+    start(modifierId, age) {
+        const modifier = this.modifiers[modifierId];
+        const [minYears, maxYears] = modifier.duration || this.defaults.duration;
+        const years = minYears + Math.floor(this.random() * (maxYears - minYears + 1));
+
+        const event = {
+            id: modifierId,
+            name: modifier.name,
+            startAge: age,
+            endAge: age + years - 1
+        };
+        event.traitShifts = this.applyEffects(modifier.effects || {});
+        this.history.push(event);
+
+        return event;
+    },
+
+    // End a world event: the trait shifts it caused wear off
+    end(event) {
+        for (const trait in event.traitShifts || {}) {
+            PersonalityEngine.driftTrait(trait, -event.traitShifts[trait]);
+        }
+    },
+
+    // Apply a modifier's onset effects to the personality engine; returns the trait shifts made
+    applyEffects(effects) {
+        if (effects.stress_baseline) {
+            PersonalityEngine.applyStress(effects.stress_baseline);
+        }
+
+        // The world shifts traits without being evidence about them, so bands stay as they are
+        const shifts = {};
+        const shift = (trait, delta) => {
+            const before = PersonalityEngine.ocean[trait];
+            PersonalityEngine.driftTrait(trait, delta);
+            shifts[trait] = PersonalityEngine.ocean[trait] - before;
+        };
+        if (effects.extraversion_penalty) shift('E', effects.extraversion_penalty);
+        if (effects.neuroticism_boost) shift('N', effects.neuroticism_boost);
+        return shifts;
+    },
+
+    // Check whether a scenario can occur under current world conditions
+    allowsScenario(scenario) {
+        // Scenarios tied to a modifier only happen while it is active
+        if (scenario.global_modifier) {
+            return this.isActive(scenario.global_modifier);
+        }
+
+        // Scarcity removes ordinary opportunities
+        if (this.hasEffect('opportunity_scarcity') &&
+            scenario.context_tags.some(tag => this.scarceContexts.includes(tag))) {
+            return false;
+        }
+
+        return true;
+    },
+
+    // Rewind the world to an earlier age, forgetting events that began after it
+    rewindTo(age) {
+        this.currentAge = age;
+        this.history = this.history.filter(event => event.startAge <= age);
+    },
+
+    // Get world event data for the timeline
+    getTimeline() {
+        return this.history.map(event => ({ ...event }));
+    },
+
+    // Get state for saving
+    getState() {
+        return {
+            currentAge: this.currentAge,
+            history: this.history.map(event => ({ ...event }))
+        };
+    },
+
+    // Restore from saved state
+    restoreState(state) {
+        this.currentAge = state.currentAge;
+        this.history = state.history.map(event => ({ ...event }));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorldEvents;
+}
@@ -0,0 +1,173 @@
+// Monte Carlo simulator - Run many headless lives in Node and report content coverage
+//
+// Usage: node tools/simulate.js [--lives 1000] [--policy random|aligned|scripted]
+//                               [--script path.json] [--seed CODE] [--json]
+//                               [--packs data/packs/a.json,data/packs/b.json] [--help]
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+// The browser modules talk to each other through globals
+global.PersonalityEngine = require('../js/personality.js');
+global.QuestionSelector = require('../js/assessment.js');
+global.SeededRandom = require('../js/random.js');
+global.WorldEvents = require('../js/world.js');
+global.CharacterRoster = require('../js/characters.js');
+global.LifeResources = require('../js/resources.js');
+global.LifeEndings = require('../js/endings.js');
+global.EventSystem = require('../js/events.js');
+global.DataValidator = require('../js/validator.js');
+const ContentPacks = require('../js/packs.js');
+const LifeRunner = require('../js/runner.js');
+
+// Printed for --help and after a bad argument
+const usage = `Usage: node tools/simulate.js [--lives 1000] [--policy random|aligned|scripted]
+                               [--script path.json] [--seed CODE] [--json]
+                               [--packs data/packs/a.json,data/packs/b.json] [--help]`;
+
+// Flags that take a value, and flags that are on when given
+const valueFlags = ['lives', 'policy', 'script', 'seed', 'packs'];
+const switchFlags = ['json', 'help'];
+
+// Parse --name value flags; anything else is an error, so a typo can't silently fall back to a default
+function parseArgs(argv) {
+    const args = { lives: 1000, policy: 'random', seed: '1', json: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].replace(/^--/, '');
+        if (switchFlags.includes(flag) && argv[i] === `--${flag}`) {
+            args[flag] = true;
+        } else if (valueFlags.includes(flag) && argv[i] === `--${flag}`) {
+            if (i + 1 >= argv.length) throw new Error(`--${flag} needs a value\n${usage}`);
+            args[flag] = argv[++i];
+        } else {
+            throw new Error(`Unknown argument "${argv[i]}"\n${usage}`);
+        }
+    }
+    return args;
+}
+
+// Read a JSON file relative to the repository root
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(root, file), 'utf8'));
+}
+
+// Install the packs named by --packs; returns their ids
+function loadPacks(args) {
+    const files = args.packs ? args.packs.split(',') : [];
+    const ids = files.map(file => {
+        const pack = readJson(file);
+        const { errors } = DataValidator.summarize(ContentPacks.add(pack, 'manifest'));
+        if (errors.length > 0) {
+            throw new Error(`${file} has ${errors.length} error(s); run node tools/validate.js`);
+        }
+        return pack.id;
+    });
+
+    const { errors } = DataValidator.summarize(ContentPacks.findConflicts(ids));
+    if (errors.length > 0) {
+        throw new Error(`Packs conflict: ${errors.map(issue => DataValidator.format(issue, issue.pack)).join('; ')}`);
+    }
+    return ids;
+}
+
+// Pick the policy named on the command line
+function getPolicy(args) {
+    if (args.policy === 'scripted') {
+        if (!args.script) throw new Error('--policy scripted needs --script <file>');
+        return LifeRunner.policies.scripted(readJson(args.script));
+    }
+    const policy = LifeRunner.policies[args.policy];
+    if (!policy || typeof policy === 'function') {
+        throw new Error(`Unknown policy "${args.policy}" (random, aligned or scripted)`);
+    }
+    return policy;
+}
+
+// Format a 0-1 share as a percentage
+function percent(share) {
+    return `${(share * 100).toFixed(1)}%`;
+}
+
+// Print a counts object as a sorted table
+function printCounts(title, counts, lives) {
+    console.log(`\n${title}`);
+    Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([key, n]) => console.log(`  ${key.padEnd(12)} ${String(n).padStart(6)}  ${percent(n / lives)}`));
+}
+
+// Print the human-readable report
+function printReport(report, args) {
+    console.log(`${report.lives} lives, policy "${args.policy}", seed ${args.seed}`);
+    if (args.packs) console.log(`Packs: ${args.packs}`);
+    console.log(`Average events per life: ${report.averageEvents.toFixed(2)}`);
+    console.log(`Life length: min ${report.lifeLengths.min}, max ${report.lifeLengths.max}, ` +
+        `average ${report.lifeLengths.average.toFixed(1)}`);
+    console.log(`Ended by failing health: ${(report.healthFailures * 100).toFixed(1)}%`);
+
+    printCounts('Final age', report.lifeLengths.distribution, report.lives);
+    printCounts('Ending', report.endings, report.lives);
+    printCounts('MBTI', report.mbti, report.lives);
+    printCounts('Enneagram', report.enneagram, report.lives);
+
+    console.log('\nScenario coverage (fired in / never reached)');
+    const width = Math.max(16, ...report.coverage.map(entry => entry.id.length + 1));
+    [...report.coverage]
+        .sort((a, b) => a.firedIn - b.firedIn)
+        .forEach(entry => {
+            const choices = Object.entries(entry.choices).map(([id, n]) => `${id}:${n}`).join(' ');
+            console.log(`  ${entry.id.padEnd(width)} ${percent(entry.firedIn).padStart(7)} ` +
+                `${percent(entry.neverReached).padStart(7)}  ${choices}`);
+        });
+
+    if (report.unreached.length > 0) {
+        console.log(`\nNever reached: ${report.unreached.join(', ')}`);
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(usage);
+        return;
+    }
+    const lives = parseInt(args.lives, 10);
+    if (!(lives > 0)) throw new Error('--lives must be a positive number');
+
+    const scenarioData = readJson('data/scenarios.json');
+    const questionData = readJson('data/questions.json');
+    const { errors } = DataValidator.summarize([
+        ...DataValidator.validateQuestions(questionData),
+        ...DataValidator.validateScenarios(scenarioData, EventSystem.stages)
+    ]);
+    if (errors.length > 0) {
+        throw new Error(`Data has ${errors.length} error(s); run node tools/validate.js`);
+    }
+
+    ContentPacks.setCore(scenarioData);
+    ContentPacks.apply(loadPacks(args));
+    PersonalityEngine.setNorms(questionData.norms);
+    const questions = questionData.questions;
+
+    const report = LifeRunner.runMany({
+        lives,
+        questions,
+        policy: getPolicy(args),
+        seed: SeededRandom.fromCode(args.seed)
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report, args);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,64 @@
+// Data validator - Lint questions.json, scenarios.json and the manifest's content packs from the command line
+//
+// Usage: node tools/validate.js [--strict]   (--strict also fails on warnings)
+
+const fs = require('fs');
+const path = require('path');
+
+// The pack loader talks to the validator and event system through globals
+const DataValidator = global.DataValidator = require('../js/validator.js');
+const EventSystem = global.EventSystem = require('../js/events.js');
+const ContentPacks = require('../js/packs.js');
+
+const root = path.join(__dirname, '..');
+const strict = process.argv.includes('--strict');
+
+// Print issues under a file name and count them
+function print(file, issues) {
+    const { errors, warnings } = DataValidator.summarize(issues);
+    errors.forEach(issue => console.error(`error    ${DataValidator.format(issue, file)}`));
+    warnings.forEach(issue => console.warn(`warning  ${DataValidator.format(issue, file)}`));
+    return { errors: errors.length, warnings: warnings.length };
+}
+
+// Read and validate one data file, printing its issues
+function check(file, validate) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(path.join(root, 'data', file), 'utf8'));
+    } catch (error) {
+        console.error(`${file}: could not be read (${error.message})`);
+        return { errors: 1, warnings: 0 };
+    }
+    return print(file, validate(data));
+}
+
+// Packs listed in data/packs/manifest.json, if there is one
+function readManifest() {
+    const file = path.join(root, 'data', 'packs', 'manifest.json');
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8')).packs || [];
+}
+
+const results = [
+    check('questions.json', data => DataValidator.validateQuestions(data)),
+    check('scenarios.json', data => {
+        ContentPacks.setCore(data);
+        return DataValidator.validateScenarios(data, EventSystem.stages);
+    })
+];
+
+// Each pack against the core content, then all of them played together
+if (ContentPacks.core) {
+    readManifest().forEach(file => {
+        results.push(check(`packs/${file}`, pack => ContentPacks.add(pack, 'manifest')));
+    });
+    const conflicts = ContentPacks.findConflicts(Object.keys(ContentPacks.available));
+    results.push(print('packs', conflicts.map(issue => ({ ...issue, path: `${issue.pack}: ${issue.path}` }))));
+}
+
+const errors = results.reduce((sum, result) => sum + result.errors, 0);
+const warnings = results.reduce((sum, result) => sum + result.warnings, 0);
+console.log(`\n${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+process.exit(errors > 0 || (strict && warnings > 0) ? 1 : 0);